@@ -4,10 +4,1049 @@
  * https://github.com/mdbassit/ColorVarPicker
  */
 
-((window, document, Math) => {
-  const ctx = document.createElement('canvas').getContext('2d');
+/**
+ * Create a color picker with its own settings, dialog and listeners.
+ * Called without a target, it creates the default picker and exposes the global ColorVarPicker object.
+ * @param {object} window The global window object.
+ * @param {object} document The document.
+ * @param {object} Math The Math object.
+ * @param {(string|object)} [target] The fields (or the container in inline mode) of an independent picker.
+ * @param {object} [instanceOptions] The options of an independent picker.
+ * @return {object} The API of an independent picker.
+ */
+(function createPicker(window, document, Math, target, instanceOptions) {
+  /**
+   * Create the color parsing, conversion and formatting functions, which don't depend on the DOM.
+   * They are exposed as ColorVarPicker.color (or as the color export in Node).
+   * @param {object} Math The Math object.
+   * @return {object} The color functions.
+   */
+  const ColorVarPickerColor = (function createColor(Math) {
+    // Color space conversion matrices and constants from CSS Color 4 and OKLab
+    const SRGB_TO_XYZ = [
+      [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+      [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+      [0.01933081871559182, 0.11919477979462598, 0.9505321522496606]
+    ];
+    const XYZ_TO_SRGB = [
+      [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+      [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+      [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+    ];
+    const P3_TO_XYZ = [
+      [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+      [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+      [0, 0.04511338185890264, 1.043944368900976]
+    ];
+    const XYZ_TO_P3 = [
+      [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+      [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+      [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+    ];
+    const D65_TO_D50 = [
+      [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+      [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+      [-0.009243058152591178, 0.015055144896577895, 0.7521316354461029]
+    ];
+    const D50_TO_D65 = [
+      [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+      [-0.028369706963208136, 1.0099954580106629, 0.021041398966943008],
+      [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+    ];
+    const SRGB_TO_LMS = [
+      [0.4122214708, 0.5363325363, 0.0514459929],
+      [0.2119034982, 0.6806995451, 0.1073969566],
+      [0.0883024619, 0.2817188376, 0.6299787005]
+    ];
+    const LMS_TO_OKLAB = [
+      [0.2104542553, 0.7936177850, -0.0040720468],
+      [1.9779984951, -2.4285922050, 0.4505937099],
+      [0.0259040371, 0.7827717662, -0.8086757660]
+    ];
+    const OKLAB_TO_LMS = [
+      [1, 0.3963377774, 0.2158037573],
+      [1, -0.1055613458, -0.0638541728],
+      [1, -0.0894841775, -1.2914855480]
+    ];
+    const LMS_TO_SRGB = [
+      [4.0767416621, -3.3077115913, 0.2309699292],
+      [-1.2684380046, 2.6097574011, -0.3413193965],
+      [-0.0041960863, -0.7034186147, 1.7076147010]
+    ];
+    const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+    const LAB_EPSILON = 216 / 24389;
+    const LAB_KAPPA = 24389 / 27;
+
+    // The named colors, so that they can be parsed without a canvas
+    const NAMED_COLORS = {
+      aliceblue: 'f0f8ff',
+      antiquewhite: 'faebd7',
+      aqua: '00ffff',
+      aquamarine: '7fffd4',
+      azure: 'f0ffff',
+      beige: 'f5f5dc',
+      bisque: 'ffe4c4',
+      black: '000000',
+      blanchedalmond: 'ffebcd',
+      blue: '0000ff',
+      blueviolet: '8a2be2',
+      brown: 'a52a2a',
+      burlywood: 'deb887',
+      cadetblue: '5f9ea0',
+      chartreuse: '7fff00',
+      chocolate: 'd2691e',
+      coral: 'ff7f50',
+      cornflowerblue: '6495ed',
+      cornsilk: 'fff8dc',
+      crimson: 'dc143c',
+      cyan: '00ffff',
+      darkblue: '00008b',
+      darkcyan: '008b8b',
+      darkgoldenrod: 'b8860b',
+      darkgray: 'a9a9a9',
+      darkgreen: '006400',
+      darkgrey: 'a9a9a9',
+      darkkhaki: 'bdb76b',
+      darkmagenta: '8b008b',
+      darkolivegreen: '556b2f',
+      darkorange: 'ff8c00',
+      darkorchid: '9932cc',
+      darkred: '8b0000',
+      darksalmon: 'e9967a',
+      darkseagreen: '8fbc8f',
+      darkslateblue: '483d8b',
+      darkslategray: '2f4f4f',
+      darkslategrey: '2f4f4f',
+      darkturquoise: '00ced1',
+      darkviolet: '9400d3',
+      deeppink: 'ff1493',
+      deepskyblue: '00bfff',
+      dimgray: '696969',
+      dimgrey: '696969',
+      dodgerblue: '1e90ff',
+      firebrick: 'b22222',
+      floralwhite: 'fffaf0',
+      forestgreen: '228b22',
+      fuchsia: 'ff00ff',
+      gainsboro: 'dcdcdc',
+      ghostwhite: 'f8f8ff',
+      gold: 'ffd700',
+      goldenrod: 'daa520',
+      gray: '808080',
+      green: '008000',
+      greenyellow: 'adff2f',
+      grey: '808080',
+      honeydew: 'f0fff0',
+      hotpink: 'ff69b4',
+      indianred: 'cd5c5c',
+      indigo: '4b0082',
+      ivory: 'fffff0',
+      khaki: 'f0e68c',
+      lavender: 'e6e6fa',
+      lavenderblush: 'fff0f5',
+      lawngreen: '7cfc00',
+      lemonchiffon: 'fffacd',
+      lightblue: 'add8e6',
+      lightcoral: 'f08080',
+      lightcyan: 'e0ffff',
+      lightgoldenrodyellow: 'fafad2',
+      lightgray: 'd3d3d3',
+      lightgreen: '90ee90',
+      lightgrey: 'd3d3d3',
+      lightpink: 'ffb6c1',
+      lightsalmon: 'ffa07a',
+      lightseagreen: '20b2aa',
+      lightskyblue: '87cefa',
+      lightslategray: '778899',
+      lightslategrey: '778899',
+      lightsteelblue: 'b0c4de',
+      lightyellow: 'ffffe0',
+      lime: '00ff00',
+      limegreen: '32cd32',
+      linen: 'faf0e6',
+      magenta: 'ff00ff',
+      maroon: '800000',
+      mediumaquamarine: '66cdaa',
+      mediumblue: '0000cd',
+      mediumorchid: 'ba55d3',
+      mediumpurple: '9370db',
+      mediumseagreen: '3cb371',
+      mediumslateblue: '7b68ee',
+      mediumspringgreen: '00fa9a',
+      mediumturquoise: '48d1cc',
+      mediumvioletred: 'c71585',
+      midnightblue: '191970',
+      mintcream: 'f5fffa',
+      mistyrose: 'ffe4e1',
+      moccasin: 'ffe4b5',
+      navajowhite: 'ffdead',
+      navy: '000080',
+      oldlace: 'fdf5e6',
+      olive: '808000',
+      olivedrab: '6b8e23',
+      orange: 'ffa500',
+      orangered: 'ff4500',
+      orchid: 'da70d6',
+      palegoldenrod: 'eee8aa',
+      palegreen: '98fb98',
+      paleturquoise: 'afeeee',
+      palevioletred: 'db7093',
+      papayawhip: 'ffefd5',
+      peachpuff: 'ffdab9',
+      peru: 'cd853f',
+      pink: 'ffc0cb',
+      plum: 'dda0dd',
+      powderblue: 'b0e0e6',
+      purple: '800080',
+      rebeccapurple: '663399',
+      red: 'ff0000',
+      rosybrown: 'bc8f8f',
+      royalblue: '4169e1',
+      saddlebrown: '8b4513',
+      salmon: 'fa8072',
+      sandybrown: 'f4a460',
+      seagreen: '2e8b57',
+      seashell: 'fff5ee',
+      sienna: 'a0522d',
+      silver: 'c0c0c0',
+      skyblue: '87ceeb',
+      slateblue: '6a5acd',
+      slategray: '708090',
+      slategrey: '708090',
+      snow: 'fffafa',
+      springgreen: '00ff7f',
+      steelblue: '4682b4',
+      tan: 'd2b48c',
+      teal: '008080',
+      thistle: 'd8bfd8',
+      tomato: 'ff6347',
+      turquoise: '40e0d0',
+      violet: 'ee82ee',
+      wheat: 'f5deb3',
+      white: 'ffffff',
+      whitesmoke: 'f5f5f5',
+      yellow: 'ffff00',
+      yellowgreen: '9acd32'
+    };
+
+    /**
+     * Parse a CSS color string.
+     * @param {string} str String representing a color: hex, named, rgb(), hsl() or one of the CSS Color 4 functions.
+     * @return {object} Red, green and blue values from 0 to 255, mapped to the sRGB gamut, and alpha. Null for invalid strings.
+     */
+    function parse(str) {
+      const color = parseColor(str);
+
+      if (!color) {
+        return null;
+      }
+
+      const [r, g, b] = gamutMapSRGB([color.r, color.g, color.b]);
+
+      return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255), a: +color.a.toFixed(2) };
+    }
+
+    /**
+     * Convert a color to the coordinates of a color space.
+     * @param {(string|object)} color A color string, or red, green, blue (0 to 255) and alpha values.
+     * @param {string} space The color space: rgb, hsv, hsl, hwb, lab, lch, oklab, oklch, display-p3 or xyz.
+     * @return {object} The space, the unrounded coordinates in their CSS reference ranges and alpha. Null for invalid colors or spaces.
+     */
+    function convert(color, space) {
+      const precise = getPreciseColor(color);
+      let coords;
+
+      if (!precise) {
+        return null;
+      }
+
+      const rgb = [precise.r, precise.g, precise.b];
+
+      switch (space) {
+        case 'rgb':
+          coords = gamutMapSRGB(rgb).map(channel => channel * 255);
+          break;
+        case 'hsv':
+        case 'hsl':
+        case 'hwb': {
+          // The cylindrical sRGB spaces can't express out of gamut colors
+          const [r, g, b] = gamutMapSRGB(rgb);
+          const max = Math.max(r, g, b);
+          const min = Math.min(r, g, b);
+          const chroma = max - min;
+          const lightness = (max + min) / 2;
+          let hue = 0;
+
+          if (chroma) {
+            hue = max === r ? (g - b) / chroma : max === g ? 2 + (b - r) / chroma : 4 + (r - g) / chroma;
+            hue = (hue * 60 + 360) % 360;
+          }
+
+          if (space === 'hsv') {
+            coords = [hue, max ? chroma / max * 100 : 0, max * 100];
+          } else if (space === 'hsl') {
+            coords = [hue, lightness > 0 && lightness < 1 ? chroma / (1 - Math.abs(2 * lightness - 1)) * 100 : 0, lightness * 100];
+          } else {
+            coords = [hue, min * 100, (1 - max) * 100];
+          }
+          break;
+        }
+        case 'lab':
+          coords = XYZToLab(D65ToD50(SRGBToXYZ(rgb)));
+          break;
+        case 'lch':
+          coords = toPolar(XYZToLab(D65ToD50(SRGBToXYZ(rgb))));
+          break;
+        case 'oklab':
+          coords = SRGBToOKLab(rgb);
+          break;
+        case 'oklch':
+          coords = toPolar(SRGBToOKLab(rgb));
+          break;
+        case 'display-p3':
+          coords = multiplyMatrix(XYZ_TO_P3, SRGBToXYZ(rgb)).map(linearToGamma);
+          break;
+        case 'xyz':
+          coords = SRGBToXYZ(rgb);
+          break;
+        default:
+          return null;
+      }
+
+      return { space: space, coords: coords, alpha: precise.a };
+    }
+
+    /**
+     * Format a color as a CSS color string.
+     * @param {(string|object)} color A color string, or red, green, blue (0 to 255) and alpha values.
+     * @param {string} [colorFormat] The color format: hex (default), rgb, hsl, hwb, lab, lch, oklab, oklch or display-p3.
+     * @param {object} [options] Output options: alpha (default true) and forceAlpha (default false).
+     * @return {string} CSS color string. Null for invalid colors.
+     */
+    function format(color, colorFormat = 'hex', options = {}) {
+      const precise = getPreciseColor(color);
+
+      if (!precise) {
+        return null;
+      }
+
+      const [r, g, b] = gamutMapSRGB([precise.r, precise.g, precise.b]);
+      const rgba = { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255), a: +precise.a.toFixed(2) };
+
+      return formatColor(rgba, colorFormat, options, precise);
+    }
+
+    /**
+     * Compute the perceptual difference of two colors: the euclidean distance in OKLab (deltaE OK), times 100.
+     * The alpha values are ignored.
+     * @param {(string|object)} color1 A color string, or red, green, blue (0 to 255) and alpha values.
+     * @param {(string|object)} color2 Another color.
+     * @return {number} The difference, about 2 is barely noticeable. NaN for invalid colors.
+     */
+    function deltaE(color1, color2) {
+      const precise1 = getPreciseColor(color1);
+      const precise2 = getPreciseColor(color2);
+
+      if (!precise1 || !precise2) {
+        return NaN;
+      }
+
+      const lab1 = SRGBToOKLab([precise1.r, precise1.g, precise1.b]);
+      const lab2 = SRGBToOKLab([precise2.r, precise2.g, precise2.b]);
+
+      return Math.sqrt(lab1.reduce((sum, value, i) => sum + Math.pow(value - lab2[i], 2), 0)) * 100;
+    }
+
+    /**
+     * Get the unrounded sRGB channels of a color string or RGBA object.
+     * @param {(string|object)} color A color string, or red, green, blue (0 to 255) and alpha values.
+     * @return {object} Unrounded sRGB channels from 0 to 1, which may be out of gamut, and alpha. Null for invalid colors.
+     */
+    function getPreciseColor(color) {
+      if (typeof color === 'string') {
+        return parseColor(color);
+      }
+
+      if (color && [color.r, color.g, color.b].every(channel => typeof channel === 'number' && !isNaN(channel))) {
+        return { r: color.r / 255, g: color.g / 255, b: color.b / 255, a: typeof color.a === 'number' ? color.a : 1 };
+      }
+
+      return null;
+    }
+
+    /**
+     * Parse a CSS color string without rounding or gamut mapping.
+     * @param {string} str String representing a color.
+     * @return {object} Unrounded sRGB channels from 0 to 1, which may be out of gamut, and alpha. Null for invalid strings.
+     */
+    function parseColor(str) {
+      const value = typeof str === 'string' ? str.trim().toLowerCase() : '';
+      const hex = NAMED_COLORS[value] || (/^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/.test(value) ? value.substring(1) : null);
+      const match = /^(rgba?|hsla?)\(\s*([^()]*?)\s*\)$/.exec(value);
+
+      if (value === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 };
+      }
+
+      if (hex) {
+        const digits = hex.length < 6 ? hex.split('').map(digit => digit + digit) : hex.match(/../g);
+        const [r, g, b, a] = digits.map(digit => parseInt(digit, 16) / 255);
+
+        return { r: r, g: g, b: b, a: a === undefined ? 1 : a };
+      }
+
+      if (match) {
+        // Both the legacy comma separated syntax and the space separated syntax
+        const args = match[2].split(/\s*[,/]\s*|\s+/);
+        const alpha = args.length === 4 ? parseNumber(args[3], 1) : 1;
+        let rgb;
+
+        if (args.length < 3 || args.length > 4) {
+          return null;
+        }
+
+        if (match[1].charAt(0) === 'r') {
+          rgb = args.slice(0, 3).map(arg => parseNumber(arg, 255) / 255);
+        } else {
+          rgb = HSLToSRGB([parseAngle(args[0]), parseNumber(args[1], 100) / 100, parseNumber(args[2], 100) / 100]);
+        }
+
+        if (rgb.some(isNaN) || isNaN(alpha)) {
+          return null;
+        }
+
+        return { r: rgb[0], g: rgb[1], b: rgb[2], a: Math.min(1, Math.max(0, alpha)) };
+      }
+
+      return parseColorFunction(str);
+    }
+
+    /**
+     * Parse a number or a percentage.
+     * @param {string} arg The number, the percentage or none.
+     * @param {number} percentRef The value of 100%, the reference range of the channel.
+     * @return {number} The number, NaN if invalid.
+     */
+    function parseNumber(arg, percentRef) {
+      const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/i.exec(arg);
+
+      if (arg.toLowerCase() === 'none') {
+        return 0;
+      }
+
+      if (!match) {
+        return NaN;
+      }
+
+      return match[2] ? match[1] * percentRef / 100 : match[1] * 1;
+    }
+
+    /**
+     * Parse an angle.
+     * @param {string} arg The angle, with an optional deg, grad, rad or turn unit, or none.
+     * @return {number} The angle in degrees, NaN if invalid.
+     */
+    function parseAngle(arg) {
+      const units = { '': 1, deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+      const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/i.exec(arg);
+
+      if (arg.toLowerCase() === 'none') {
+        return 0;
+      }
+
+      return match ? match[1] * units[(match[2] || '').toLowerCase()] : NaN;
+    }
+
+    /**
+     * Convert HSL to sRGB.
+     * @param {array} hsl Hue in degrees, saturation and lightness from 0 to 1.
+     * @return {array} Red, green and blue channels from 0 to 1.
+     */
+    function HSLToSRGB([hue, saturation, lightness]) {
+      hue = (hue % 360 + 360) % 360;
+
+      return [0, 8, 4].map(n => {
+        const k = (n + hue / 30) % 12;
+
+        return lightness - saturation * Math.min(lightness, 1 - lightness) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      });
+    }
+
+    /**
+     * Convert HSVA to RGBA.
+     * @param {object} hsva Hue, saturation, value and alpha values.
+     * @return {object} Red, green, blue and alpha values.
+     */
+    function HSVAtoRGBA(hsva) {
+      const saturation = hsva.s / 100;
+      const value = hsva.v / 100;
+      let chroma = saturation * value;
+      let hueBy60 = hsva.h / 60;
+      let x = chroma * (1 - Math.abs(hueBy60 % 2 - 1));
+      let m = value - chroma;
+
+      chroma = (chroma + m);
+      x = (x + m);
+
+      const index = Math.floor(hueBy60) % 6;
+      const red = [chroma, x, m, m, x, chroma][index];
+      const green = [x, chroma, chroma, x, m, m][index];
+      const blue = [m, m, x, chroma, chroma, x][index];
+
+      return {
+        r: Math.round(red * 255),
+        g: Math.round(green * 255),
+        b: Math.round(blue * 255),
+        a: hsva.a
+      };
+    }
+
+    /**
+     * Convert HSVA to HSLA.
+     * @param {object} hsva Hue, saturation, value and alpha values.
+     * @return {object} Hue, saturation, lightness and alpha values.
+     */
+    function HSVAtoHSLA(hsva) {
+      const value = hsva.v / 100;
+      const lightness = value * (1 - (hsva.s / 100) / 2);
+      let saturation;
+
+      if (lightness > 0 && lightness < 1) {
+        saturation = Math.round((value - lightness) / Math.min(lightness, 1 - lightness) * 100);
+      }
+
+      return {
+        h: hsva.h,
+        s: saturation || 0,
+        l: Math.round(lightness * 100),
+        a: hsva.a
+      };
+    }
+
+    /**
+     * Convert RGBA to HSVA.
+     * @param {object} rgba Red, green, blue and alpha values.
+     * @return {object} Hue, saturation, value and alpha values.
+     */
+    function RGBAtoHSVA(rgba) {
+      const red   = rgba.r / 255;
+      const green = rgba.g / 255;
+      const blue  = rgba.b / 255;
+      const xmax = Math.max(red, green, blue);
+      const xmin = Math.min(red, green, blue);
+      const chroma = xmax - xmin;
+      const value = xmax;
+      let hue = 0;
+      let saturation = 0;
+
+      if (chroma) {
+        if (xmax === red ) { hue = ((green - blue) / chroma); }
+        if (xmax === green ) { hue = 2 + (blue - red) / chroma; }
+        if (xmax === blue ) { hue = 4 + (red - green) / chroma; }
+        if (xmax) { saturation = chroma / xmax; }
+      }
+
+      hue = Math.floor(hue * 60);
+
+      return {
+        h: hue < 0 ? hue + 360 : hue,
+        s: Math.round(saturation * 100),
+        v: Math.round(value * 100),
+        a: rgba.a
+      };
+    }
+
+    /**
+     * Convert RGBA to Hex.
+     * @param {object} rgba Red, green, blue and alpha values.
+     * @param {object} [options] Output options: alpha (default true) and forceAlpha (default false).
+     * @return {string} Hex color string.
+     */
+    function RGBAToHex(rgba, options = {}) {
+      let R = rgba.r.toString(16);
+      let G = rgba.g.toString(16);
+      let B = rgba.b.toString(16);
+      let A = '';
+
+      if (rgba.r < 16) {
+        R = '0' + R;
+      }
+
+      if (rgba.g < 16) {
+        G = '0' + G;
+      }
+
+      if (rgba.b < 16) {
+        B = '0' + B;
+      }
+
+      if (options.alpha !== false && (rgba.a < 1 || options.forceAlpha)) {
+        const alpha = rgba.a * 255 | 0;
+        A = alpha.toString(16);
+
+        if (alpha < 16) {
+          A = '0' + A;
+        }
+      }
+
+      return '#' + R + G + B + A;
+    }
+
+    /**
+     * Convert RGBA values to a CSS rgb/rgba string.
+     * @param {object} rgba Red, green, blue and alpha values.
+     * @param {object} [options] Output options: alpha (default true) and forceAlpha (default false).
+     * @return {string} CSS color string.
+     */
+    function RGBAToStr(rgba, options = {}) {
+      if (options.alpha === false || (rgba.a === 1 && !options.forceAlpha)) {
+        return `rgb(${rgba.r}, ${rgba.g}, ${rgba.b})`;
+      } else {
+        return `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${rgba.a})`;
+      }
+    }
+
+    /**
+     * Convert HSLA values to a CSS hsl/hsla string.
+     * @param {object} hsla Hue, saturation, lightness and alpha values.
+     * @param {object} [options] Output options: alpha (default true) and forceAlpha (default false).
+     * @return {string} CSS color string.
+     */
+    function HSLAToStr(hsla, options = {}) {
+      if (options.alpha === false || (hsla.a === 1 && !options.forceAlpha)) {
+        return `hsl(${hsla.h}, ${hsla.s}%, ${hsla.l}%)`;
+      } else {
+        return `hsla(${hsla.h}, ${hsla.s}%, ${hsla.l}%, ${hsla.a})`;
+      }
+    }
+
+    /**
+     * Convert RGBA values to a color string in the given format.
+     * @param {object} rgba Red, green, blue and alpha values.
+     * @param {string} format The color format: hex, rgb, hsl, hwb, lab, lch, oklab, oklch or display-p3.
+     * @param {object} [options] Output options: alpha (default true) and forceAlpha (default false).
+     * @param {object} [precise] The same color with unrounded sRGB channels from 0 to 1, possibly out of gamut.
+     * @return {string} CSS color string.
+     */
+    function formatColor(rgba, format, options = {}, precise) {
+      switch (format) {
+        case 'rgb':
+          return RGBAToStr(rgba, options);
+        case 'hsl':
+          return HSLAToStr(HSVAtoHSLA(RGBAtoHSVA(rgba)), options);
+        case 'hwb':
+        case 'lab':
+        case 'lch':
+        case 'oklab':
+        case 'oklch':
+        case 'display-p3':
+          return colorToStr(precise || { r: rgba.r / 255, g: rgba.g / 255, b: rgba.b / 255, a: rgba.a }, format, options);
+        default:
+          return RGBAToHex(rgba, options);
+      }
+    }
+
+    /**
+     * Parse the CSS Color 4 functions that the canvas can't convert without losing precision:
+     * hwb(), lab(), lch(), oklab(), oklch() and color() in the srgb, srgb-linear, display-p3 and xyz spaces.
+     * @param {string} str String representing a color.
+     * @return {object} Unrounded sRGB channels from 0 to 1, which may be out of gamut, and alpha. Null for other strings.
+     */
+    function parseColorFunction(str) {
+      const match = /^\s*(hwb|lab|lch|oklab|oklch|color)\(\s*([^()]*)\)\s*$/i.exec(str || '');
+
+      if (!match) {
+        return null;
+      }
+
+      const parts = match[2].split('/');
+      const args = parts[0].trim().split(/\s+/);
+      const space = match[1].toLowerCase() === 'color' ? args.shift().toLowerCase() : match[1].toLowerCase();
+      let alpha = parts.length === 2 ? parts[1].trim() : '1';
+      let rgb;
+
+      if (args.length !== 3 || parts.length > 2 || /\s/.test(alpha)) {
+        return null;
+      }
+
+      switch (space) {
+        case 'hwb':
+          rgb = HWBToSRGB([parseAngle(args[0]), parseNumber(args[1], 100) / 100, parseNumber(args[2], 100) / 100]);
+          break;
+        case 'lab':
+          rgb = XYZToSRGB(D50ToD65(labToXYZ([parseNumber(args[0], 100), parseNumber(args[1], 125), parseNumber(args[2], 125)])));
+          break;
+        case 'lch':
+          rgb = XYZToSRGB(D50ToD65(labToXYZ(fromPolar([parseNumber(args[0], 100), parseNumber(args[1], 150), parseAngle(args[2])]))));
+          break;
+        case 'oklab':
+          rgb = OKLabToSRGB([parseNumber(args[0], 1), parseNumber(args[1], 0.4), parseNumber(args[2], 0.4)]);
+          break;
+        case 'oklch':
+          rgb = OKLabToSRGB(fromPolar([parseNumber(args[0], 1), parseNumber(args[1], 0.4), parseAngle(args[2])]));
+          break;
+        case 'srgb':
+          rgb = args.map(arg => parseNumber(arg, 1));
+          break;
+        case 'srgb-linear':
+          rgb = args.map(arg => parseNumber(arg, 1)).map(linearToGamma);
+          break;
+        case 'display-p3':
+          rgb = XYZToSRGB(multiplyMatrix(P3_TO_XYZ, args.map(arg => parseNumber(arg, 1)).map(gammaToLinear)));
+          break;
+        case 'xyz':
+        case 'xyz-d65':
+          rgb = XYZToSRGB(args.map(arg => parseNumber(arg, 1)));
+          break;
+        case 'xyz-d50':
+          rgb = XYZToSRGB(D50ToD65(args.map(arg => parseNumber(arg, 1))));
+          break;
+        default:
+          return null;
+      }
+
+      alpha = parseNumber(alpha, 1);
+
+      if (rgb.some(isNaN) || isNaN(alpha)) {
+        return null;
+      }
+
+      return { r: rgb[0], g: rgb[1], b: rgb[2], a: Math.min(1, Math.max(0, alpha)) };
+    }
+
+    /**
+     * Serialize a color to one of the CSS Color 4 functions.
+     * @param {object} color Unrounded sRGB channels from 0 to 1, which may be out of gamut, and alpha.
+     * @param {string} format The color format: hwb, lab, lch, oklab, oklch or display-p3.
+     * @param {object} [options] Output options: alpha (default true) and forceAlpha (default false).
+     * @return {string} CSS color string.
+     */
+    function colorToStr(color, format, options = {}) {
+      const rgb = [color.r, color.g, color.b];
+      const round = (value, digits) => +value.toFixed(digits);
+      const alpha = options.alpha !== false && (color.a < 1 || options.forceAlpha) ? ` / ${round(color.a, 2)}` : '';
+      let channels;
+
+      switch (format) {
+        case 'hwb': {
+          // hwb() is in sRGB, out of gamut colors are mapped first
+          const [r, g, b] = gamutMapSRGB(rgb);
+          const hue = RGBAtoHSVA({ r: r * 255, g: g * 255, b: b * 255 }).h;
+
+          channels = [hue, `${round(Math.min(r, g, b) * 100, 2)}%`, `${round((1 - Math.max(r, g, b)) * 100, 2)}%`];
+          break;
+        }
+        case 'lab':
+        case 'lch': {
+          const lab = XYZToLab(D65ToD50(SRGBToXYZ(rgb)));
+          const [l, c, h] = toPolar(lab);
+
+          // The hue of the gray colors is powerless
+          channels = format === 'lab' ? [round(l, 2), round(lab[1], 2), round(lab[2], 2)] : [round(l, 2), round(c, 2), round(c, 2) ? round(h, 2) : 0];
+          break;
+        }
+        case 'oklab':
+        case 'oklch': {
+          const oklab = SRGBToOKLab(rgb);
+          const [l, c, h] = toPolar(oklab);
+
+          channels = format === 'oklab' ? [`${round(l * 100, 2)}%`, round(oklab[1], 4), round(oklab[2], 4)] : [`${round(l * 100, 2)}%`, round(c, 4), round(c, 4) ? round(h, 2) : 0];
+          break;
+        }
+        default:
+          // Colors beyond display-p3 are clipped
+          channels = multiplyMatrix(XYZ_TO_P3, SRGBToXYZ(rgb)).map(linearToGamma).map(value => round(Math.min(1, Math.max(0, value)), 4));
+          return `color(display-p3 ${channels.join(' ')}${alpha})`;
+      }
+
+      return `${format}(${channels.join(' ')}${alpha})`;
+    }
+
+    /**
+     * Bring an out of gamut color into sRGB by reducing its OKLCH chroma, as specified by CSS Color 4.
+     * @param {array} rgb Unrounded sRGB channels from 0 to 1.
+     * @return {array} The sRGB channels within gamut.
+     */
+    function gamutMapSRGB(rgb) {
+      const inGamut = channels => channels.every(value => value >= -0.000075 && value <= 1.000075);
+      const clip = channels => channels.map(value => Math.min(1, Math.max(0, value)));
+      const deltaEOK = (channels1, channels2) => {
+        const lab1 = SRGBToOKLab(channels1);
+        const lab2 = SRGBToOKLab(channels2);
+
+        return Math.sqrt(Math.pow(lab1[0] - lab2[0], 2) + Math.pow(lab1[1] - lab2[1], 2) + Math.pow(lab1[2] - lab2[2], 2));
+      };
+
+      if (inGamut(rgb)) {
+        return clip(rgb);
+      }
+
+      const [lightness, chroma, hue] = toPolar(SRGBToOKLab(rgb));
+
+      if (lightness >= 1) {
+        return [1, 1, 1];
+      } else if (lightness <= 0) {
+        return [0, 0, 0];
+      }
+
+      // Binary search of the chroma whose clipped color is not noticeably different
+      const jnd = 0.02;
+      let min = 0;
+      let max = chroma;
+      let minInGamut = true;
+      let clipped = clip(rgb);
+
+      if (deltaEOK(clipped, rgb) < jnd) {
+        return clipped;
+      }
+
+      while (max - min > 0.0001) {
+        const current = OKLabToSRGB(fromPolar([lightness, (min + max) / 2, hue]));
+
+        if (minInGamut && inGamut(current)) {
+          min = (min + max) / 2;
+          continue;
+        }
+
+        clipped = clip(current);
+        const deltaE = deltaEOK(clipped, current);
+
+        if (deltaE < jnd) {
+          if (jnd - deltaE < 0.0001) {
+            break;
+          }
+
+          minInGamut = false;
+          min = (min + max) / 2;
+        } else {
+          max = (min + max) / 2;
+        }
+      }
+
+      return clipped;
+    }
+
+    /**
+     * Convert HWB values to sRGB.
+     * @param {array} hwb Hue in degrees, whiteness and blackness from 0 to 1.
+     * @return {array} sRGB channels from 0 to 1.
+     */
+    function HWBToSRGB([hue, white, black]) {
+      if (white + black >= 1) {
+        return [white / (white + black), white / (white + black), white / (white + black)];
+      }
+
+      // The fully saturated color of the hue, then mixed with white and black
+      return HSLToSRGB([hue, 1, 0.5]).map(channel => channel * (1 - white - black) + white);
+    }
+
+    /**
+     * Convert gamma encoded RGB channels (sRGB or display-p3) to linear light.
+     * @param {number} value The channel, from 0 to 1.
+     * @return {number} The linear channel.
+     */
+    function gammaToLinear(value) {
+      const abs = Math.abs(value);
+
+      return abs <= 0.04045 ? value / 12.92 : Math.sign(value) * Math.pow((abs + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Convert linear light RGB channels (sRGB or display-p3) to gamma encoded values.
+     * @param {number} value The linear channel.
+     * @return {number} The channel, from 0 to 1.
+     */
+    function linearToGamma(value) {
+      const abs = Math.abs(value);
+
+      return abs > 0.0031308 ? Math.sign(value) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055) : value * 12.92;
+    }
+
+    /**
+     * Convert sRGB to CIE XYZ (D65).
+     * @param {array} rgb sRGB channels from 0 to 1.
+     * @return {array} X, Y and Z.
+     */
+    function SRGBToXYZ(rgb) {
+      return multiplyMatrix(SRGB_TO_XYZ, rgb.map(gammaToLinear));
+    }
+
+    /**
+     * Convert CIE XYZ (D65) to sRGB.
+     * @param {array} xyz X, Y and Z.
+     * @return {array} sRGB channels from 0 to 1, which may be out of gamut.
+     */
+    function XYZToSRGB(xyz) {
+      return multiplyMatrix(XYZ_TO_SRGB, xyz).map(linearToGamma);
+    }
+
+    /**
+     * Adapt CIE XYZ from the D65 white point to D50 with the Bradford method.
+     * @param {array} xyz X, Y and Z relative to D65.
+     * @return {array} X, Y and Z relative to D50.
+     */
+    function D65ToD50(xyz) {
+      return multiplyMatrix(D65_TO_D50, xyz);
+    }
+
+    /**
+     * Adapt CIE XYZ from the D50 white point to D65 with the Bradford method.
+     * @param {array} xyz X, Y and Z relative to D50.
+     * @return {array} X, Y and Z relative to D65.
+     */
+    function D50ToD65(xyz) {
+      return multiplyMatrix(D50_TO_D65, xyz);
+    }
+
+    /**
+     * Convert CIE XYZ (D50) to CIE Lab.
+     * @param {array} xyz X, Y and Z relative to D50.
+     * @return {array} L, a and b.
+     */
+    function XYZToLab(xyz) {
+      const f = xyz.map((value, i) => {
+        value /= D50_WHITE[i];
+        return value > LAB_EPSILON ? Math.cbrt(value) : (LAB_KAPPA * value + 16) / 116;
+      });
+
+      return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+    }
+
+    /**
+     * Convert CIE Lab to CIE XYZ (D50).
+     * @param {array} lab L, a and b.
+     * @return {array} X, Y and Z relative to D50.
+     */
+    function labToXYZ([lightness, a, b]) {
+      const fy = (lightness + 16) / 116;
+      const fx = a / 500 + fy;
+      const fz = fy - b / 200;
+
+      return [
+        Math.pow(fx, 3) > LAB_EPSILON ? Math.pow(fx, 3) : (116 * fx - 16) / LAB_KAPPA,
+        lightness > LAB_KAPPA * LAB_EPSILON ? Math.pow(fy, 3) : lightness / LAB_KAPPA,
+        Math.pow(fz, 3) > LAB_EPSILON ? Math.pow(fz, 3) : (116 * fz - 16) / LAB_KAPPA
+      ].map((value, i) => value * D50_WHITE[i]);
+    }
+
+    /**
+     * Convert sRGB to OKLab.
+     * @param {array} rgb sRGB channels from 0 to 1.
+     * @return {array} L, a and b.
+     */
+    function SRGBToOKLab(rgb) {
+      const lms = multiplyMatrix(SRGB_TO_LMS, rgb.map(gammaToLinear)).map(Math.cbrt);
+
+      return multiplyMatrix(LMS_TO_OKLAB, lms);
+    }
+
+    /**
+     * Convert OKLab to sRGB.
+     * @param {array} oklab L, a and b.
+     * @return {array} sRGB channels from 0 to 1, which may be out of gamut.
+     */
+    function OKLabToSRGB(oklab) {
+      const lms = multiplyMatrix(OKLAB_TO_LMS, oklab).map(value => Math.pow(value, 3));
+
+      return multiplyMatrix(LMS_TO_SRGB, lms).map(linearToGamma);
+    }
+
+    /**
+     * Convert Lab values (CIE or OK) to their polar form.
+     * @param {array} lab L, a and b.
+     * @return {array} L, chroma and hue in degrees.
+     */
+    function toPolar([lightness, a, b]) {
+      const hue = Math.atan2(b, a) * 180 / Math.PI;
+
+      return [lightness, Math.sqrt(a * a + b * b), hue < 0 ? hue + 360 : hue];
+    }
+
+    /**
+     * Convert LCH values (CIE or OK) to their rectangular form.
+     * @param {array} lch L, chroma and hue in degrees.
+     * @return {array} L, a and b.
+     */
+    function fromPolar([lightness, chroma, hue]) {
+      return [lightness, chroma * Math.cos(hue * Math.PI / 180), chroma * Math.sin(hue * Math.PI / 180)];
+    }
+
+    /**
+     * Multiply a 3x3 matrix by a vector.
+     * @param {array} matrix The matrix, as an array of rows.
+     * @param {array} vector The vector.
+     * @return {array} The resulting vector.
+     */
+    function multiplyMatrix(matrix, vector) {
+      return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+    }
+
+    return {
+      parse: parse,
+      convert: convert,
+      format: format,
+      deltaE: deltaE,
+
+      // Used by the color pickers
+      parseColorFunction: parseColorFunction,
+      formatColor: formatColor,
+      RGBAToHex: RGBAToHex,
+      RGBAToStr: RGBAToStr,
+      HSLAToStr: HSLAToStr,
+      HSVAtoRGBA: HSVAtoRGBA,
+      HSVAtoHSLA: HSVAtoHSLA,
+      RGBAtoHSVA: RGBAtoHSVA
+    };
+
+  })(Math);
+
+  // Only the color functions are available without a DOM, e.g. in Node
+  if (typeof module === 'object' && module.exports) {
+    module.exports = {
+      color: {
+        parse: ColorVarPickerColor.parse,
+        convert: ColorVarPickerColor.convert,
+        format: ColorVarPickerColor.format,
+        deltaE: ColorVarPickerColor.deltaE
+      }
+    };
+  }
+
+  // Without a DOM (e.g. in Node), only the color functions are available
+  if (!document) {
+    return;
+  }
+
+  const { parseColorFunction, HSVAtoRGBA, HSVAtoHSLA, RGBAtoHSVA } = ColorVarPickerColor;
   const currentColor = { r: 0, g: 0, b: 0, h: 0, s: 0, v: 0, a: 1 };
-  let container, picker, colorValue, currentEl, currentFormat, oldColor;
+  let container, picker, colorArea, colorMarker, colorPreview, colorValue, searchField,
+      hueSlider, hueMarker, alphaSlider, alphaMarker, currentEl, currentFormat, oldColor;
+  let currentChain = [];
+  let preciseColor = null;
+  let oldCompanion;
+  let pickedColor;
+  let typeAhead = '';
+  let typeAheadTimeout;
+  let canvasContext;
+
+  // The ids of the default picker are kept as is, those of the other pickers get a unique suffix
+  let idSuffix = '';
+
+  if (target !== undefined) {
+    createPicker.count = (createPicker.count || 0) + 1;
+    idSuffix = `-${createPicker.count}`;
+  }
+
+  // Registered event listeners, so that they can be removed
+  const listeners = [];
+
+  // Fields bound to this picker, wrapped fields and handlers of the picker's own events
+  const boundSelectors = [];
+  const wrappedFields = [];
+  const eventHandlers = {};
+
+  // Original values of the companion attributes set on the fields, restored when the picker is destroyed
+  const companionAttributes = [];
 
   // Default settings
   const settings = {
@@ -16,11 +1055,19 @@
     theme: 'default',
     themeMode: 'light',
     forceVariables: true,
+    nearestTokens: 3,
+    nearestDistance: 10,
+    autoSnap: 0,
     wrap: true,
     margin: 2,
+    placement: 'bottom-start',
+    strategy: 'absolute',
+    flip: true,
+    shift: true,
     format: 'hex',
     formatToggle : false,
     swatches: [],
+    swatchFilter: null,
     swatchesOnly: true,
     alpha: true,
     forceAlpha: false,
@@ -28,6 +1075,44 @@
     selectInput: false,
     inline: false,
     defaultColor: '#000000',
+    scope: 'field',
+    valueMode: 'variable',
+    companionField: null,
+    companionAttribute: null,
+    contrastAgainst: null,
+    contrastLevel: 'AA',
+    contrastMode: 'warn',
+    apca: false,
+    editVariables: false,
+    observe: false,
+    search: false,
+    recent: 0,
+    favorites: false,
+    storage: null,
+    storageKey: 'color-var-picker',
+    a11y: {
+      open: 'Open color picker',
+      close: 'Close color picker',
+      marker: 'Saturation: {s}. Brightness: {v}.',
+      hueSlider: 'Hue slider',
+      alphaSlider: 'Opacity slider',
+      format: 'Color format',
+      swatch: 'Color swatch',
+      search: 'Search swatches',
+      input: 'Color value or variable name',
+      suggestions: 'Color variables',
+      invalid: '{value} is not a valid color.',
+      notVariable: '{value} is not one of the color variables.',
+      picked: '{name} selected.',
+      contrast: 'Contrast {ratio} to 1, {level}',
+      deprecated: 'Deprecated',
+      recent: 'Recent',
+      favorites: 'Favorites',
+      favorite: 'Add to favorites',
+      snap: 'Snap to {name}',
+      undefinedVariable: '{name} is not defined.',
+      instruction: 'Saturation and brightness selector. Use up, down, left and right arrow keys to select.'
+    }
   };
 
   // Virtual instances cache
@@ -36,6 +1121,34 @@
   let defaultInstance = {};
   let hasInstance = false;
 
+  // Options of the automatic swatch discovery, if enabled
+  let swatchDiscovery = null;
+
+  // The swatches of the rendered buttons, by button id
+  let swatchData = {};
+
+  // Recent and favorite colors by storage key, and what picked the last recent color
+  let storedColors = {};
+  let pendingRecent = null;
+
+  // Custom property declarations found in the stylesheets, built on demand
+  let declarations = null;
+
+  // Observers of the theme changes, if enabled
+  let observer, colorSchemeQuery, refreshRequest;
+
+  // Observer of the size of the open picker and its field, and the pending position update
+  let positionObserver, positionRequest;
+
+  // Variables edited in theme editor mode, with their original inline values, and the undo history
+  const editedVariables = [];
+  const variableHistory = [];
+  let pendingEdit = null;
+
+  // The undo and redo stacks of the picked values by field, and the field of a pick in progress (a drag)
+  const pickHistory = new WeakMap();
+  let pendingPick = null;
+
   /**
    * Configure the color picker.
    * @param {object} options Configuration options.
@@ -54,7 +1167,7 @@
           }
           break;
         case 'parent':
-          container = document.querySelector(options.parent);
+          container = typeof options.parent === 'string' ? document.querySelector(options.parent) : options.parent;
           if (container) {
             container.appendChild(picker);
             settings.parent = options.parent;
@@ -88,6 +1201,21 @@
           options.margin *= 1;
           settings.margin = !isNaN(options.margin) ? options.margin : settings.margin;
           break;
+        case 'placement':
+          if (/^(top|bottom|left|right)(-(start|end))?$/.test(options.placement)) {
+            settings.placement = options.placement;
+            updatePickerPosition();
+          }
+          break;
+        case 'strategy':
+          settings.strategy = options.strategy === 'fixed' ? 'fixed' : 'absolute';
+          picker.setAttribute('data-strategy', settings.strategy);
+          updatePickerPosition();
+          break;
+        case 'flip':
+        case 'shift':
+          settings[key] = !!options[key];
+          break;
         case 'wrap':
           if (options.el && options.wrap) {
             wrapFields(options.el);
@@ -102,28 +1230,18 @@
           break;
         case 'swatches':
           if (Array.isArray(options.swatches)) {
-            const swatchPanels = [];
-            options.swatches.forEach((panel, i) => {
-              const values = [];
-  
-              panel.values.forEach((swatch, j) => {
-                const { isCSSVar, cssVar } = checkIfCSSVar(swatch);
-                let validVariable = true;
-                if(isCSSVar) {
-                  validVariable = checkIsValidCssColor(getCSSVar(cssVar));
-                }
-                if(validVariable) {
-                  values.push(`<button type="button" ` + (!isCSSVar ? `class="color-var-picker-no-variable"` : ``) + ` id="color-var-picker-swatch-${i}-${j}" aria-labelledby="color-var-picker-swatch-label color-var-picker-swatch-${i}-${j}" style="color: ${swatch};">${swatch}</button>`);
-                }
-              });
-
-              swatchPanels.push(`<div id="color-var-picker-swatch-panel-${i}" class="color-var-picker-swatch-panel"><div class="color-var-picker-swatch-panel-title">${panel.name}</div><div id="color-var-picker-swatch-panel-${i}-swatches">${values.join('')}</div></div>`);
-  
-            })
-            getEl('color-var-picker-swatches-panels').innerHTML = swatchPanels.length ? `<div class="color-var-picker-swatch-panel-wrapper">${swatchPanels.join('')}</div>` : '';
+            swatchDiscovery = null;
+            renderSwatches(options.swatches);
             settings.swatches = options.swatches.slice();
+          } else if (options.swatches && options.swatches.discover) {
+            swatchDiscovery = options.swatches;
+            refreshSwatches();
           }
           break;
+        case 'swatchFilter':
+          settings.swatchFilter = typeof options.swatchFilter === 'function' ? options.swatchFilter : null;
+          renderSwatches(settings.swatches);
+          break;
         case 'swatchesOnly':
           settings.swatchesOnly = !!options.swatchesOnly;
           picker.setAttribute('data-minimal', settings.swatchesOnly);
@@ -132,6 +1250,13 @@
           settings.forceVariables = !!options.forceVariables;
           picker.setAttribute('data-pure-variables', settings.forceVariables);
           break;
+        case 'nearestTokens':
+        case 'nearestDistance':
+        case 'autoSnap':
+          options[key] *= 1;
+          settings[key] = !isNaN(options[key]) && options[key] >= 0 ? options[key] : settings[key];
+          updateNearestTokens();
+          break;
         case 'alpha':
           settings.alpha = !!options.alpha;
           picker.setAttribute('data-alpha', settings.alpha);
@@ -142,24 +1267,1728 @@
 
           if (settings.inline) {
             const defaultColor = options.defaultColor || settings.defaultColor;
-            
+
             currentFormat = getColorFormatFromStr(defaultColor);
             updatePickerPosition();
             setColorFromStr(defaultColor);
           }
           break;
-        default:
-          settings[key] = options[key];
-      }
-    }
-  }
+        case 'a11y': {
+          const labels = options.a11y;
+          let update = false;
+
+          if (typeof labels === 'object') {
+            for (const label in labels) {
+              if (labels[label] && settings.a11y[label]) {
+                settings.a11y[label] = labels[label];
+                update = true;
+              }
+            }
+          }
 
-  /**
-   * Add or update a virtual instance.
-   * @param {String} selector The CSS selector of the elements to which the instance is attached.
-   * @param {Object} options Per-instance options to apply.
-   */
-  function setVirtualInstance(selector, options) {
+          if (update) {
+            getEl('color-var-picker-open-label').innerHTML = settings.a11y.open;
+            getEl('color-var-picker-swatch-label').innerHTML = settings.a11y.swatch;
+            getEl('color-var-picker-format-label').innerHTML = settings.a11y.format;
+            colorPreview.querySelector('button').setAttribute('aria-label', settings.a11y.close);
+            hueSlider.setAttribute('aria-label', settings.a11y.hueSlider);
+            alphaSlider.setAttribute('aria-label', settings.a11y.alphaSlider);
+            colorArea.setAttribute('aria-label', settings.a11y.instruction);
+            searchField.setAttribute('aria-label', settings.a11y.search);
+            searchField.setAttribute('placeholder', settings.a11y.search);
+            colorValue.setAttribute('aria-label', settings.a11y.input);
+            getEl('color-var-picker-favorite').setAttribute('aria-label', settings.a11y.favorite);
+            getEl('color-var-picker-suggestions').setAttribute('aria-label', settings.a11y.suggestions);
+          }
+          break;
+        }
+        case 'recent':
+          settings.recent = Math.max(0, parseInt(options.recent, 10) || 0);
+          renderSwatches(settings.swatches);
+          break;
+        case 'favorites':
+          settings.favorites = !!options.favorites;
+          picker.setAttribute('data-favorites', settings.favorites);
+          renderSwatches(settings.swatches);
+          break;
+        case 'storage':
+        case 'storageKey':
+          settings[key] = options[key];
+          storedColors = {};
+          renderSwatches(settings.swatches);
+          break;
+        case 'search':
+          settings.search = !!options.search;
+          picker.setAttribute('data-search', settings.search);
+          filterSwatches(settings.search ? searchField.value : '');
+          break;
+        case 'observe':
+          settings.observe = options.observe;
+          observeVariables(settings.observe);
+          break;
+        case 'editVariables':
+          settings.editVariables = !!options.editVariables;
+          picker.setAttribute('data-edit-variables', settings.editVariables);
+          break;
+        case 'contrastMode':
+          settings.contrastMode = options.contrastMode;
+          picker.setAttribute('data-contrast-mode', settings.contrastMode);
+          filterSwatches(settings.search ? searchField.value : '');
+          break;
+        case 'contrastAgainst':
+        case 'contrastLevel':
+        case 'apca':
+          settings[key] = options[key];
+          renderSwatches(settings.swatches);
+          break;
+        default:
+          settings[key] = options[key];
+      }
+    }
+  }
+
+  /**
+   * Render the swatch panels.
+   * @param {array} panels Swatch panels in the format { name, values }, the values are color strings or objects
+   * in the format { value, label, description, tags, deprecated }.
+   */
+  function renderSwatches(panels) {
+    const swatchPanels = [];
+
+    swatchData = {};
+
+    // The reference background of the contrast checks, if any
+    const background = settings.contrastAgainst ? strToRGBA(resolveColor(settings.contrastAgainst)) : null;
+
+    // The favorite and recent colors come first
+    getStoredPanels().concat(panels).forEach((panel, i) => {
+      const values = [];
+
+      panel.values.forEach((item, j) => {
+        const data = getSwatch(item);
+        const { value: swatch, label, description, tags, deprecated } = data;
+        const { isCSSVar } = checkIfCSSVar(swatch);
+        const { value, chain } = resolveCSSVar(swatch);
+        const color = isCSSVar ? value : swatch;
+        let validVariable = true;
+        if(isCSSVar) {
+          validVariable = !!value && checkIsValidCssColor(value);
+        }
+        if(validVariable && (!settings.swatchFilter || settings.swatchFilter(data) !== false)) {
+          const id = `color-var-picker-swatch-${i}-${j}${idSuffix}`;
+          const rgba = strToRGBA(color);
+          const hex = RGBAToHex(rgba);
+          const contrast = background ? checkContrast(rgba, background) : null;
+          const contrastLabel = contrast ? settings.a11y.contrast.replace('{ratio}', contrast.ratio).replace('{level}', contrast.level) : '';
+          const classes = [
+            !isCSSVar ? 'color-var-picker-no-variable' : '',
+            contrast && !contrast.passes ? 'color-var-picker-contrast-fail' : '',
+            deprecated ? 'color-var-picker-deprecated' : ''
+          ].filter(name => name);
+          const className = classes.length ? ` class="${classes.join(' ')}"` : ``;
+          const deprecatedLabel = deprecated ? settings.a11y.deprecated : '';
+          const tooltip = [label, isCSSVar ? chain.concat(value).join(' \u2192 ') : '', description, deprecatedLabel, contrast ? contrast.summary : ''].filter(text => text).join('\n');
+          const title = tooltip ? ` title="${escapeHTML(tooltip)}"` : ``;
+          const attributes = ` data-value="${escapeHTML(swatch)}" data-label="${escapeHTML(label || '')}" data-hex="${hex}"` +
+            (isCSSVar ? ` data-resolved="${escapeHTML(value)}"` : ``) +
+            (description ? ` data-description="${escapeHTML(description)}"` : ``) +
+            (Array.isArray(tags) && tags.length ? ` data-tags="${escapeHTML(tags.join(' '))}"` : ``) +
+            (contrast ? ` data-contrast="${contrast.level}"` : ``);
+          const a11yLabel = ` aria-label="${escapeHTML([label, swatch, hex, deprecatedLabel, contrastLabel].filter(text => text).join(', '))}"`;
+
+          swatchData[id] = Object.assign({}, data);
+          values.push(`<button type="button" role="option" tabindex="-1" aria-selected="false"${className} id="${id}"${a11yLabel}${title}${attributes} style="color: ${color};">${escapeHTML(label || swatch)}</button>`);
+        }
+      });
+
+      const stored = panel.stored ? ` data-stored="${panel.stored}"` : ``;
+
+      swatchPanels.push(`<div id="color-var-picker-swatch-panel-${i}${idSuffix}" class="color-var-picker-swatch-panel"${stored} role="group" aria-labelledby="color-var-picker-swatch-panel-${i}-title${idSuffix}"><div id="color-var-picker-swatch-panel-${i}-title${idSuffix}" class="color-var-picker-swatch-panel-title" data-name="${escapeHTML(panel.name)}">${escapeHTML(panel.name)}</div><div id="color-var-picker-swatch-panel-${i}-swatches${idSuffix}">${values.join('')}</div></div>`);
+    });
+
+    // The contrast badges are written in the reference background color
+    const style = background ? ` style="--color-var-picker-contrast-against: rgb(${background.r}, ${background.g}, ${background.b});"` : ``;
+
+    getEl('color-var-picker-swatches-panels').innerHTML = swatchPanels.length ? `<div class="color-var-picker-swatch-panel-wrapper" role="listbox" aria-labelledby="color-var-picker-swatch-label${idSuffix}"${style}>${swatchPanels.join('')}</div>` : '';
+
+    // Keep the current search results and hide the panels left without swatches
+    filterSwatches(settings.search ? searchField.value : '');
+  }
+
+  /**
+   * Check the contrast of a swatch against the reference background set with the contrastAgainst option.
+   * @param {object} rgba The swatch color.
+   * @param {object} background The background color.
+   * @return {object} The WCAG ratio, the APCA lightness contrast if enabled, the level met (AAA, AA or Fail),
+   * whether the swatch passes the contrastLevel option and a summary for the tooltip.
+   */
+  function checkContrast(rgba, background) {
+    const color = {};
+
+    // Semi-transparent colors are seen blended with the background
+    ['r', 'g', 'b'].forEach(channel => {
+      color[channel] = rgba[channel] * rgba.a + background[channel] * (1 - rgba.a);
+    });
+
+    const ratio = getContrastRatio(color, background);
+    const contrast = { ratio: Math.floor(ratio * 100) / 100 };
+    let summary = `WCAG ${contrast.ratio}:1`;
+
+    // APCA's lightness contrast replaces the WCAG ratio: Lc 75 for AAA, Lc 60 for AA
+    if (settings.apca) {
+      const lc = Math.abs(getAPCAContrast(color, background));
+
+      contrast.lc = Math.round(lc * 10) / 10;
+      contrast.level = lc >= 75 ? 'AAA' : lc >= 60 ? 'AA' : 'Fail';
+      summary += `, APCA Lc ${contrast.lc}`;
+    } else {
+      contrast.level = ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : 'Fail';
+    }
+
+    contrast.passes = contrast.level === 'AAA' || (contrast.level === 'AA' && settings.contrastLevel !== 'AAA');
+    contrast.summary = `${summary} (${contrast.level})`;
+
+    return contrast;
+  }
+
+  /**
+   * Compute the WCAG 2.x contrast ratio of two colors.
+   * @param {object} rgba1 The first color.
+   * @param {object} rgba2 The second color.
+   * @return {number} The contrast ratio, from 1 to 21.
+   */
+  function getContrastRatio(rgba1, rgba2) {
+    const luminance = rgba => {
+      const [r, g, b] = [rgba.r, rgba.g, rgba.b].map(value => {
+        value /= 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+      });
+
+      return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const l1 = luminance(rgba1);
+    const l2 = luminance(rgba2);
+
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  /**
+   * Compute the APCA lightness contrast (0.0.98G-4g constants) of a text color on a background.
+   * @param {object} text The text color.
+   * @param {object} background The background color.
+   * @return {number} The lightness contrast, negative for light text on a dark background.
+   */
+  function getAPCAContrast(text, background) {
+    const luminance = rgba => {
+      const y = 0.2126729 * Math.pow(rgba.r / 255, 2.4) + 0.7151522 * Math.pow(rgba.g / 255, 2.4) + 0.0721750 * Math.pow(rgba.b / 255, 2.4);
+
+      // Soft clamp of the near-black colors
+      return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+    };
+    const yText = luminance(text);
+    const yBackground = luminance(background);
+    let contrast;
+
+    if (Math.abs(yBackground - yText) < 0.0005) {
+      return 0;
+    }
+
+    // Dark text on a light background, then light text on a dark background
+    if (yBackground > yText) {
+      contrast = (Math.pow(yBackground, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+      return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
+    }
+
+    contrast = (Math.pow(yBackground, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+    return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
+  }
+
+  /**
+   * Check if a swatch is left out of the panels, along with the search and keyboard navigation.
+   * @param {object} button The swatch button.
+   * @return {boolean} True if the swatch is hidden.
+   */
+  function isSwatchHidden(button) {
+    return (settings.forceVariables && button.classList.contains('color-var-picker-no-variable')) ||
+      (settings.contrastMode === 'hide' && button.classList.contains('color-var-picker-contrast-fail'));
+  }
+
+  /**
+   * Filter the swatches by variable name, panel name, label or hex value.
+   * @param {string} query The search query, an empty string shows all the swatches.
+   */
+  function filterSwatches(query) {
+    const panels = getEl('color-var-picker-swatches-panels').querySelectorAll('.color-var-picker-swatch-panel');
+    let firstMatch, bestScore;
+
+    query = query.trim().toLowerCase();
+
+    panels.forEach(panel => {
+      const title = panel.querySelector('.color-var-picker-swatch-panel-title');
+      const titleMatch = query ? fuzzyMatch(query, title.getAttribute('data-name')) : null;
+      let visible = 0;
+
+      // Highlight the matched characters of the panel name
+      title.innerHTML = highlightMatch(title.getAttribute('data-name'), titleMatch);
+
+      panel.querySelectorAll('button').forEach(button => {
+        const candidates = ['data-value', 'data-label', 'data-hex', 'data-description', 'data-tags'].map(name => button.getAttribute(name) || '');
+        let score = titleMatch ? titleMatch.score : null;
+        let isOwnMatch = false;
+
+        candidates.forEach(candidate => {
+          const match = query ? fuzzyMatch(query, candidate) : null;
+
+          isOwnMatch = isOwnMatch || !!match;
+
+          if (match && (score === null || match.score > score)) {
+            score = match.score;
+          }
+        });
+
+        const matches = !query || score !== null;
+        const hidden = isSwatchHidden(button);
+
+        button.classList.toggle('color-var-picker-filtered', !matches);
+        // The swatches of a matching panel are all shown, those that match themselves are highlighted
+        button.classList.toggle('color-var-picker-match', isOwnMatch);
+        button.classList.remove('color-var-picker-first-match');
+
+        if (matches && !hidden) {
+          visible++;
+
+          if (query && (bestScore === undefined || score > bestScore)) {
+            firstMatch = button;
+            bestScore = score;
+          }
+        }
+      });
+
+      panel.classList.toggle('color-var-picker-filtered', !visible);
+    });
+
+    if (firstMatch) {
+      firstMatch.classList.add('color-var-picker-first-match');
+    }
+
+    updateSwatchSelection();
+  }
+
+  /**
+   * Get the swatches that are currently displayed.
+   * @return {array} The swatch buttons, in document order.
+   */
+  function getSwatchOptions() {
+    const buttons = getEl('color-var-picker-swatches-panels').querySelectorAll('button');
+
+    return Array.prototype.filter.call(buttons, button => {
+      return !isSwatchHidden(button) && !button.closest('.color-var-picker-filtered');
+    });
+  }
+
+  /**
+   * Mark the swatch of the current value as selected and make it the one reachable with the Tab key.
+   */
+  function updateSwatchSelection() {
+    const options = getSwatchOptions();
+    const value = currentChain.length ? `var(${currentChain[0]})` : currentEl ? currentEl.value.trim() : '';
+    let active = options.filter(button => button.getAttribute('tabindex') === '0')[0];
+    let selected;
+
+    getEl('color-var-picker-swatches-panels').querySelectorAll('button').forEach(button => {
+      const isSelected = !!value && button.getAttribute('data-value') === value;
+
+      button.setAttribute('aria-selected', isSelected);
+      button.setAttribute('tabindex', -1);
+
+      if (isSelected && options.indexOf(button) !== -1) {
+        selected = button;
+      }
+    });
+
+    active = selected || active || options[0];
+
+    if (active) {
+      active.setAttribute('tabindex', 0);
+    }
+
+    updateNearestTokens();
+  }
+
+  /**
+   * Move the focus to a swatch, making it the one reachable with the Tab key.
+   * @param {object} button The swatch button.
+   */
+  function focusSwatch(button) {
+    if (button) {
+      getSwatchOptions().forEach(option => option.setAttribute('tabindex', -1));
+      button.setAttribute('tabindex', 0);
+      button.focus();
+    }
+  }
+
+  /**
+   * Handle the keyboard navigation between the swatches.
+   * Arrow keys move in the grid, Home/End go to the first/last swatch of the panel (of all panels with Ctrl),
+   * PageUp/PageDown go to the previous/next panel, and typing jumps to the first variable starting with the typed text.
+   * @param {object} event KeyboardEvent object.
+   */
+  function navigateSwatches(event) {
+    const options = getSwatchOptions();
+    const current = event.target;
+    const index = options.indexOf(current);
+    const panel = current.closest('.color-var-picker-swatch-panel');
+    const panelOptions = options.filter(button => button.closest('.color-var-picker-swatch-panel') === panel);
+    const panelList = options.reduce((list, button) => {
+      const buttonPanel = button.closest('.color-var-picker-swatch-panel');
+      return list.indexOf(buttonPanel) === -1 ? list.concat(buttonPanel) : list;
+    }, []);
+    let target;
+
+    switch (event.key) {
+      case 'ArrowLeft':
+        target = options[index - 1];
+        break;
+      case 'ArrowRight':
+        target = options[index + 1];
+        break;
+      case 'ArrowUp':
+      case 'ArrowDown':
+        target = getSwatchInNextRow(options, current, event.key === 'ArrowUp' ? -1 : 1);
+        break;
+      case 'Home':
+        target = event.ctrlKey ? options[0] : panelOptions[0];
+        break;
+      case 'End':
+        target = event.ctrlKey ? options[options.length - 1] : panelOptions[panelOptions.length - 1];
+        break;
+      case 'PageUp':
+      case 'PageDown': {
+        const nextPanel = panelList[panelList.indexOf(panel) + (event.key === 'PageUp' ? -1 : 1)];
+        target = options.filter(button => button.closest('.color-var-picker-swatch-panel') === nextPanel)[0];
+        break;
+      }
+      default:
+        // Type-ahead, ignore the shortcuts and the special keys
+        if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey && event.key !== ' ') {
+          clearTimeout(typeAheadTimeout);
+          typeAhead += event.key.toLowerCase();
+          typeAheadTimeout = setTimeout(() => { typeAhead = ''; }, 500);
+
+          // Search from the next swatch, unless more characters are typed to refine the current one
+          const start = typeAhead.length > 1 ? index : index + 1;
+          const ordered = options.slice(start).concat(options.slice(0, start));
+
+          target = ordered.filter(button => getSwatchName(button).indexOf(typeAhead) === 0)[0];
+        } else {
+          return;
+        }
+    }
+
+    event.preventDefault();
+    focusSwatch(target);
+  }
+
+  /**
+   * Find the swatch right above or below another one, the panels can have rows of different lengths.
+   * @param {array} options The displayed swatches.
+   * @param {object} current The swatch to start from.
+   * @param {number} direction -1 for the row above, 1 for the row below.
+   * @return {object} The swatch button, if any.
+   */
+  function getSwatchInNextRow(options, current, direction) {
+    const origin = current.getBoundingClientRect();
+    const center = origin.left + origin.width / 2;
+    let target, rowTop, distance;
+
+    options.forEach(button => {
+      const rect = button.getBoundingClientRect();
+      const offset = (rect.top - origin.top) * direction;
+
+      // Keep the closest row, then the closest swatch in that row
+      if (offset > 1) {
+        const buttonDistance = Math.abs(rect.left + rect.width / 2 - center);
+        const closerRow = rowTop === undefined || (rect.top - rowTop) * direction < -1;
+        const sameRow = rowTop !== undefined && Math.abs(rect.top - rowTop) < 1;
+
+        if (closerRow || sameRow && buttonDistance < distance) {
+          target = button;
+          rowTop = rect.top;
+          distance = buttonDistance;
+        }
+      }
+    });
+
+    return target;
+  }
+
+  /**
+   * Get the name used for the type-ahead: the variable name without dashes, or the color string.
+   * @param {object} button The swatch button.
+   * @return {string} The lowercase name.
+   */
+  function getSwatchName(button) {
+    const value = button.getAttribute('data-value');
+    const { isCSSVar, cssVar } = checkIfCSSVar(value);
+
+    return (isCSSVar ? cssVar.replace(/^--/, '') : value).toLowerCase();
+  }
+
+  /**
+   * Apply the color typed in the text field, a color or a variable name with or without var().
+   * Invalid colors are rejected, and so are other colors than variables if forceVariables is enabled,
+   * unless a swatch variable has the same color or is within the autoSnap distance, in which case it's used instead.
+   */
+  function commitTypedValue() {
+    let value = colorValue.value.trim();
+
+    // Variable names can be typed without var()
+    if (/^--[\w-]+$/.test(value)) {
+      value = `var(${value})`;
+    }
+
+    const { isCSSVar } = checkIfCSSVar(value);
+    const resolved = isCSSVar ? resolveCSSVar(value).value : value;
+
+    if (!resolved || !checkIsValidCssColor(resolved)) {
+      rejectTypedValue(settings.a11y.invalid);
+      return;
+    }
+
+    // The closest variable is used instead if it's the same color, or close enough for the autoSnap option
+    if (!isCSSVar && settings.forceVariables) {
+      const hex = RGBAToHex(strToRGBA(value));
+      const match = getNearestTokens(value)[0];
+
+      if (!match || (match.hex !== hex && !(match.distance <= settings.autoSnap))) {
+        rejectTypedValue(settings.a11y.notVariable);
+        return;
+      }
+
+      value = match.value;
+    }
+
+    renderSuggestions('');
+    setColorFromStr(value);
+    pickColor('typed');
+  }
+
+  /**
+   * Sort the swatch variables by their perceptual difference with a color.
+   * @param {string} color The color.
+   * @return {array} The variables in the format { name, value, resolved, hex, label, distance }, the closest first.
+   */
+  function getNearestTokens(color) {
+    return getKnownVariables().map(variable => {
+      variable.distance = ColorVarPickerColor.deltaE(color, variable.hex);
+      return variable;
+    }).filter(variable => !isNaN(variable.distance)).sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Highlight the swatch variables closest to the current color if it's not a variable,
+   * and offer to snap to the closest one.
+   */
+  function updateNearestTokens() {
+    const snapButton = getEl('color-var-picker-snap');
+    const buttons = getEl('color-var-picker-swatches-panels').querySelectorAll('button');
+    let nearest = [];
+
+    // The nearest variables are updated once the drag in the editor ends
+    if (pendingPick) {
+      return;
+    }
+
+    if (!currentChain.length && (currentEl || settings.inline) && settings.nearestTokens) {
+      nearest = getNearestTokens(RGBAToHex(currentColor)).filter(variable => variable.distance <= settings.nearestDistance);
+      nearest = nearest.slice(0, settings.nearestTokens);
+    }
+
+    buttons.forEach(button => {
+      const match = nearest.filter(variable => variable.value === button.getAttribute('data-value'))[0];
+
+      button.classList.toggle('color-var-picker-nearest', !!match);
+
+      if (match) {
+        button.setAttribute('data-distance', match.distance.toFixed(1));
+      } else {
+        button.removeAttribute('data-distance');
+      }
+    });
+
+    if (nearest.length) {
+      snapButton.textContent = settings.a11y.snap.replace('{name}', nearest[0].name);
+      snapButton.setAttribute('title', `${nearest[0].resolved}, deltaE ${nearest[0].distance.toFixed(1)}`);
+      snapButton.setAttribute('data-value', nearest[0].value);
+      snapButton.hidden = false;
+    } else {
+      snapButton.removeAttribute('data-value');
+      snapButton.hidden = true;
+    }
+  }
+
+  /**
+   * Mark the typed value as invalid and announce why.
+   * @param {string} message The message, {value} is replaced with the typed value.
+   */
+  function rejectTypedValue(message) {
+    colorValue.setAttribute('aria-invalid', 'true');
+    announce(message.replace('{value}', colorValue.value.trim()));
+  }
+
+  /**
+   * Get the variables of the rendered swatches, as they were resolved against the scope of the current field.
+   * @return {array} The variables in the format { name, value, resolved, hex, label }.
+   */
+  function getKnownVariables() {
+    const variables = [];
+    const names = [];
+
+    getEl('color-var-picker-swatches-panels').querySelectorAll('button').forEach(button => {
+      const value = button.getAttribute('data-value');
+      const { isCSSVar, cssVar } = checkIfCSSVar(value);
+
+      if (isCSSVar && names.indexOf(cssVar) === -1) {
+        names.push(cssVar);
+        variables.push({
+          name: cssVar,
+          value: value,
+          resolved: button.getAttribute('data-resolved'),
+          hex: button.getAttribute('data-hex'),
+          label: button.getAttribute('data-label')
+        });
+      }
+    });
+
+    return variables;
+  }
+
+  /**
+   * Check the values of the bound fields, including those of the virtual instances, against the color variables.
+   * The fields are looked up in the page, so the DOM must be ready.
+   * @param {(string|object)} [selector] Only audit the fields that match this selector or these elements.
+   * @param {object} [options] Set overlay to true to flag the offending fields on their wrappers, false to clear the flags.
+   * @return {object} The report in the format { fields, summary }.
+   */
+  function auditFields(selector, options = {}) {
+    const fields = [];
+    const restrict = selector ? getFields(selector) : null;
+
+    boundSelectors.concat(Object.keys(instances)).forEach(item => {
+      getFields(item).forEach(field => {
+        if (fields.indexOf(field) === -1 && typeof field.value === 'string' && (!restrict || restrict.indexOf(field) !== -1)) {
+          fields.push(field);
+        }
+      });
+    });
+
+    const entries = fields.map(auditField);
+
+    if (options.overlay !== undefined) {
+      entries.forEach(entry => flagAuditedField(entry, options.overlay));
+    }
+
+    return createAuditReport(entries);
+  }
+
+  /**
+   * Classify the value of a field.
+   * @param {object} field The input field.
+   * @return {object} The field, its value, its status (variable, unknown, invalid, raw or empty, where unknown variables are undefined or not in the palette) and the nearest token of a raw color.
+   */
+  function auditField(field) {
+    const value = field.value.trim();
+    const { isCSSVar, cssVar } = checkIfCSSVar(value);
+    const tokens = getFieldTokens(field);
+    const entry = {
+      field: field,
+      value: value,
+      status: 'empty',
+      variable: isCSSVar ? cssVar : null,
+      token: isCSSVar && tokens.some(token => token.name === cssVar),
+      resolved: null,
+      nearest: null
+    };
+
+    if (isCSSVar) {
+      const { value: resolved } = resolveCSSVar(value, field);
+      const isValid = !!resolved && checkIsValidCssColor(resolved);
+
+      // Variables that resolve but aren't in the palette aren't design tokens either
+      entry.status = isValid && entry.token ? 'variable' : 'unknown';
+      entry.resolved = isValid ? resolved : null;
+    } else if (value && !checkIsValidCssColor(value)) {
+      entry.status = 'invalid';
+    } else if (value) {
+      const rgba = strToRGBA(value);
+
+      entry.status = 'raw';
+      entry.resolved = value;
+
+      // Raw colors report the closest token, so that they can be replaced
+      tokens.forEach(token => {
+        token.distance = ColorVarPickerColor.deltaE(rgba, strToRGBA(token.resolved));
+
+        if (!isNaN(token.distance) && (!entry.nearest || token.distance < entry.nearest.distance)) {
+          entry.nearest = token;
+        }
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get an option of the instance that applies to a field.
+   * The options of the active field are already applied, those of the other fields are not.
+   * @param {object} field The input field.
+   * @param {string} key The option name.
+   * @return {*} The option value, or undefined if the field isn't the active one or no instance sets it.
+   */
+  function getInstanceOption(field, key) {
+    if (field !== currentEl && hasInstance) {
+      for (let selector in instances) {
+        if (field.matches(selector)) {
+          return instances[selector][key];
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the color variables of the swatches that apply to a field, resolved in its scope.
+   * @param {object} field The input field.
+   * @return {array} The tokens in the format { name, value, resolved, label }.
+   */
+  function getFieldTokens(field) {
+    const tokens = [];
+    const swatches = getInstanceOption(field, 'swatches');
+    const panels = Array.isArray(swatches) ? swatches : settings.swatches;
+
+    panels.forEach(panel => {
+      panel.values.forEach(item => {
+        const { value, label } = getSwatch(item);
+        const { isCSSVar, cssVar } = checkIfCSSVar(value);
+
+        if (isCSSVar && !tokens.some(token => token.name === cssVar)) {
+          const { value: resolved } = resolveCSSVar(value, field);
+
+          if (resolved && checkIsValidCssColor(resolved)) {
+            tokens.push({ name: cssVar, value: value, resolved: resolved, label: label || value });
+          }
+        }
+      });
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Flag an audited field on its wrapper, or clear the flag.
+   * @param {object} entry The audit of the field.
+   * @param {boolean} enable Flag the field if its value is not a variable.
+   */
+  function flagAuditedField(entry, enable) {
+    const wrapper = entry.field.parentNode;
+
+    if (!wrapper || !wrapper.classList.contains('color-var-picker-field')) {
+      return;
+    }
+
+    if (wrapper.hasAttribute('data-audit')) {
+      wrapper.removeAttribute('data-audit');
+      wrapper.removeAttribute('title');
+    }
+
+    if (enable && entry.status !== 'variable' && entry.status !== 'empty') {
+      let message = settings.a11y.invalid.replace('{value}', entry.value);
+
+      if (entry.status === 'unknown' && !entry.resolved) {
+        message = settings.a11y.undefinedVariable.replace('{name}', entry.variable);
+      } else if (entry.status === 'unknown') {
+        message = settings.a11y.notVariable.replace('{value}', entry.value);
+      } else if (entry.status === 'raw') {
+        message = settings.a11y.notVariable.replace('{value}', entry.value);
+
+        if (entry.nearest) {
+          message += ` ${settings.a11y.snap.replace('{name}', entry.nearest.name)}`;
+        }
+      }
+
+      wrapper.setAttribute('data-audit', entry.status);
+      wrapper.setAttribute('title', message);
+    }
+  }
+
+  /**
+   * Count the audited fields by status.
+   * @param {array} entries The audits of the fields.
+   * @return {object} The report in the format { fields, summary }.
+   */
+  function createAuditReport(entries) {
+    const summary = { total: entries.length, variable: 0, unknown: 0, invalid: 0, raw: 0, empty: 0 };
+
+    entries.forEach(entry => summary[entry.status]++);
+
+    return { fields: entries, summary: summary };
+  }
+
+  /**
+   * Suggest the variables whose name contains the text typed in the text field.
+   * @param {string} text The typed text.
+   */
+  function renderSuggestions(text) {
+    const list = getEl('color-var-picker-suggestions');
+    const query = text.trim().replace(/^var\(\s*/i, '').replace(/\s*\)?$/, '').replace(/^-+/, '').toLowerCase();
+    let matches = [];
+
+    // Only names are completed, not colors
+    if (/^[\w-]+$/.test(query)) {
+      matches = getKnownVariables().filter(variable => variable.name.toLowerCase().indexOf(query) !== -1);
+
+      // The names that start with the query come first
+      matches.sort((a, b) => (b.name.toLowerCase().indexOf(`--${query}`) === 0) - (a.name.toLowerCase().indexOf(`--${query}`) === 0));
+      matches = matches.slice(0, 8);
+    }
+
+    list.innerHTML = matches.map((variable, i) => {
+      const title = variable.label ? ` title="${escapeHTML(variable.label)}"` : ``;
+
+      return `<div id="color-var-picker-suggestion-${i}${idSuffix}" class="color-var-picker-suggestion" role="option" aria-selected="false" data-value="${escapeHTML(variable.value)}"${title}>` +
+        `<span class="color-var-picker-suggestion-preview" style="color: ${variable.hex};"></span>` +
+        `<span class="color-var-picker-suggestion-name">${escapeHTML(variable.name)}</span>` +
+        `<span class="color-var-picker-suggestion-value">${escapeHTML(variable.resolved)}</span>` +
+      '</div>';
+    }).join('');
+
+    colorValue.setAttribute('aria-expanded', matches.length > 0);
+    colorValue.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Navigate the suggestions with the keyboard while the text field is focused.
+   * @param {object} event The keydown event.
+   */
+  function navigateSuggestions(event) {
+    const options = Array.from(getEl('color-var-picker-suggestions').children);
+    const active = options.filter(option => option.getAttribute('aria-selected') === 'true')[0];
+    let index = options.indexOf(active);
+
+    if (!options.length) {
+      return;
+    }
+
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        index = (index + (event.key === 'ArrowDown' ? 1 : options.length - (index === -1 ? 0 : 1))) % options.length;
+
+        options.forEach((option, i) => {
+          option.setAttribute('aria-selected', i === index);
+        });
+
+        colorValue.setAttribute('aria-activedescendant', options[index].id);
+        options[index].scrollIntoView({ block: 'nearest' });
+        break;
+      case 'Enter':
+      case 'Tab':
+        if (!active) {
+          return;
+        }
+
+        applySuggestion(active);
+        break;
+      case 'Escape':
+        // Close the suggestions only, not the picker
+        renderSuggestions('');
+        event.stopPropagation();
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Apply a suggested variable.
+   * @param {object} option The suggestion element.
+   */
+  function applySuggestion(option) {
+    colorValue.value = option.getAttribute('data-value');
+    commitTypedValue();
+  }
+
+  /**
+   * Announce a message to the screen readers.
+   * @param {string} message The message.
+   */
+  function announce(message) {
+    const liveRegion = getEl('color-var-picker-live');
+
+    // Clear first so that the same message is announced again
+    liveRegion.textContent = '';
+    setTimeout(() => {
+      liveRegion.textContent = message;
+    }, 100);
+  }
+
+  /**
+   * Fuzzy match a query against a string, contiguous matches score higher than scattered ones.
+   * @param {string} query The lowercase search query.
+   * @param {string} str The string to search in.
+   * @return {object} The match score and the indexes of the matched characters, or null if there is no match.
+   */
+  function fuzzyMatch(query, str) {
+    const text = (str || '').toLowerCase();
+    const indexes = [];
+
+    if (!query || !text) {
+      return null;
+    }
+
+    const start = text.indexOf(query);
+
+    if (start !== -1) {
+      for (let i = 0; i < query.length; i++) {
+        indexes.push(start + i);
+      }
+
+      return { score: 100 - start / text.length, indexes };
+    }
+
+    // Otherwise every character of the query must appear in order
+    let position = 0;
+    let gaps = 0;
+
+    for (let i = 0; i < query.length; i++) {
+      const index = text.indexOf(query[i], position);
+
+      if (index === -1) {
+        return null;
+      }
+
+      gaps += index - position;
+      position = index + 1;
+      indexes.push(index);
+    }
+
+    return { score: 50 - gaps / text.length * 10, indexes };
+  }
+
+  /**
+   * Wrap the matched characters of a string in <mark> elements.
+   * @param {string} str The string to highlight.
+   * @param {object} [match] The result of fuzzyMatch().
+   * @return {string} HTML markup.
+   */
+  function highlightMatch(str, match) {
+    if (!match) {
+      return escapeHTML(str);
+    }
+
+    return str.split('').map((char, i) => {
+      return match.indexes.indexOf(i) !== -1 ? `<mark>${escapeHTML(char)}</mark>` : escapeHTML(char);
+    }).join('');
+  }
+
+  /**
+   * Normalize a swatch to an object.
+   * @param {(string|object)} swatch A color string, or an object with a value and an optional label.
+   * @return {object} The swatch's value and label.
+   */
+  function getSwatch(swatch) {
+    return typeof swatch === 'object' ? swatch : { value: swatch };
+  }
+
+  /**
+   * Get the panels of the favorite and recent colors, if enabled.
+   * @return {array} Swatch panels in the format { name, values, stored }.
+   */
+  function getStoredPanels() {
+    const panels = [];
+
+    if (!settings.favorites && !settings.recent) {
+      return panels;
+    }
+
+    const colors = getStoredColors();
+
+    if (settings.favorites && colors.favorites.length) {
+      panels.push({ name: settings.a11y.favorites, values: colors.favorites.map(getSwatchByValue), stored: 'favorites' });
+    }
+
+    if (settings.recent && colors.recent.length) {
+      panels.push({ name: settings.a11y.recent, values: colors.recent.slice(0, settings.recent).map(getSwatchByValue), stored: 'recent' });
+    }
+
+    return panels;
+  }
+
+  /**
+   * Find the configured swatch of a color, so that the stored colors keep their labels and metadata.
+   * @param {string} value The color.
+   * @return {(string|object)} The swatch, or the color itself.
+   */
+  function getSwatchByValue(value) {
+    let swatch = value;
+
+    settings.swatches.forEach(panel => {
+      panel.values.forEach(item => {
+        if (getSwatch(item).value === value) {
+          swatch = item;
+        }
+      });
+    });
+
+    return swatch;
+  }
+
+  /**
+   * Get the key that identifies a color in the stored lists: the variable name, or the color itself.
+   * @param {string} value The color.
+   * @return {string} The key.
+   */
+  function getColorKey(value) {
+    const { isCSSVar, cssVar } = checkIfCSSVar(value);
+    return isCSSVar ? cssVar : value.trim().toLowerCase();
+  }
+
+  /**
+   * Remove the duplicates from a list of colors.
+   * @param {array} colors The colors.
+   * @return {array} The colors, without the later occurrences of the same variable or color.
+   */
+  function dedupeColors(colors) {
+    const keys = colors.map(getColorKey);
+    return colors.filter((color, i) => typeof color === 'string' && keys.indexOf(keys[i]) === i);
+  }
+
+  /**
+   * Get the storage key of the recent and favorite colors, which is scoped to the instance selector:
+   * the selector of the virtual instance or of the bound fields that match the current field,
+   * or the target of an inline picker.
+   * @return {string} The storage key.
+   */
+  function getStorageKey() {
+    const selector = currentEl ? boundSelectors.filter(bound => typeof bound === 'string' && currentEl.matches(bound))[0] : null;
+    const scope = currentInstanceId || selector || (typeof target === 'string' ? target : '');
+
+    return `${settings.storageKey}:${scope}`;
+  }
+
+  /**
+   * Get the storage adapter of the recent and favorite colors: the storage option or the localStorage.
+   * @return {object} An object with get(key) and set(key, data) methods, which may return promises.
+   */
+  function getStorage() {
+    if (settings.storage) {
+      return settings.storage;
+    }
+
+    // The localStorage may be unavailable, e.g. when the cookies are blocked
+    return {
+      get: key => {
+        try {
+          return JSON.parse(window.localStorage.getItem(key));
+        } catch (error) {
+          return null;
+        }
+      },
+      set: (key, data) => {
+        try {
+          window.localStorage.setItem(key, JSON.stringify(data));
+        } catch (error) {
+          // The colors are kept for the current session only
+        }
+      }
+    };
+  }
+
+  /**
+   * Get the recent and favorite colors of the current storage key, they are loaded on first use.
+   * @return {object} The colors in the format { recent, favorites }.
+   */
+  function getStoredColors() {
+    const key = getStorageKey();
+
+    if (!storedColors[key]) {
+      const colors = storedColors[key] = { recent: [], favorites: [] };
+      const apply = data => {
+        if (data && typeof data === 'object') {
+          // Keep the colors picked while the storage was loading
+          colors.recent = dedupeColors(colors.recent.concat(Array.isArray(data.recent) ? data.recent : []));
+          colors.favorites = dedupeColors(colors.favorites.concat(Array.isArray(data.favorites) ? data.favorites : []));
+        }
+      };
+      let data;
+
+      try {
+        data = getStorage().get(key);
+      } catch (error) {
+        data = null;
+      }
+
+      // Asynchronous adapters render the colors when they are loaded
+      if (data && typeof data.then === 'function') {
+        data.then(result => {
+          apply(result);
+
+          if (storedColors[key] === colors && key === getStorageKey()) {
+            renderSwatches(settings.swatches);
+          }
+        }, () => {});
+      } else {
+        apply(data);
+      }
+    }
+
+    return storedColors[key];
+  }
+
+  /**
+   * Save the recent and favorite colors of the current storage key.
+   */
+  function saveStoredColors() {
+    const result = getStorage().set(getStorageKey(), getStoredColors());
+
+    if (result && typeof result.catch === 'function') {
+      result.catch(() => {});
+    }
+  }
+
+  /**
+   * Add a picked color to the recent colors.
+   * They are rendered the next time the picker opens, so that the swatches don't move while picking.
+   * @param {string} value The variable or the color.
+   * @param {string} source What picked the color.
+   */
+  function addRecentColor(value, source) {
+    if (!settings.recent || !value) {
+      return;
+    }
+
+    // Dragging in the editor picks many colors, only the last one is stored once the drag ends
+    if (source === 'editor') {
+      pendingRecent = value;
+      return;
+    }
+
+    pendingRecent = null;
+    storeRecentColor(value);
+  }
+
+  /**
+   * Store the last color picked in the editor, if it isn't stored yet.
+   */
+  function flushRecentColor() {
+    if (pendingRecent) {
+      storeRecentColor(pendingRecent);
+      pendingRecent = null;
+    }
+  }
+
+  /**
+   * Put a color first in the stored recent colors.
+   * @param {string} value The variable or the color.
+   */
+  function storeRecentColor(value) {
+    const colors = getStoredColors();
+
+    colors.recent = dedupeColors([value].concat(colors.recent)).slice(0, settings.recent);
+    saveStoredColors();
+  }
+
+  /**
+   * Add a color to the favorite colors, or remove it if it's already one of them.
+   * @param {string} value The variable or the color.
+   */
+  function toggleFavorite(value) {
+    if (!settings.favorites || !value) {
+      return;
+    }
+
+    const colors = getStoredColors();
+    const index = colors.favorites.map(getColorKey).indexOf(getColorKey(value));
+
+    if (index === -1) {
+      colors.favorites.push(value);
+    } else {
+      colors.favorites.splice(index, 1);
+    }
+
+    saveStoredColors();
+    renderSwatches(settings.swatches);
+    updateFavoriteButton();
+  }
+
+  /**
+   * Get the current color as it's stored in the favorite and recent colors.
+   * @return {string} The variable or the color.
+   */
+  function getCurrentValue() {
+    return currentChain.length ? `var(${currentChain[0]})` : colorValue.value;
+  }
+
+  /**
+   * Show whether the current color is one of the favorite colors.
+   */
+  function updateFavoriteButton() {
+    if (settings.favorites) {
+      const value = getCurrentValue();
+      const isFavorite = !!value && getStoredColors().favorites.map(getColorKey).indexOf(getColorKey(value)) !== -1;
+
+      getEl('color-var-picker-favorite').setAttribute('aria-pressed', isFavorite);
+    }
+  }
+
+  /**
+   * Rescan the stylesheets, and rebuild the swatch panels if automatic discovery is enabled.
+   */
+  function refreshSwatches() {
+    declarations = null;
+
+    if (swatchDiscovery) {
+      settings.swatches = discoverSwatches(swatchDiscovery);
+      renderSwatches(settings.swatches);
+    }
+  }
+
+  /**
+   * Build swatch panels from the color custom properties defined in the document.
+   * @param {object} options Discovery options.
+   * @param {string} [options.prefix] Only keep the custom properties starting with this prefix.
+   * @param {function} [options.groupBy] Callback that receives a custom property name and returns
+   * the name of its panel, or a falsy value to leave it out. Defaults to grouping by the first
+   * name segment following the prefix.
+   * @return {array} Swatch panels in the format { name, values }.
+   */
+  function discoverSwatches(options) {
+    const prefix = options.prefix || '--';
+    const groupBy = typeof options.groupBy === 'function' ? options.groupBy : name => {
+      const segments = name.substring(prefix.length).split('-').filter(segment => segment);
+      return segments.length > 1 ? segments[0] : prefix.replace(/^-+|-+$/g, '') || 'Variables';
+    };
+    const panels = {};
+
+    getCustomProperties().forEach(name => {
+      if (name.indexOf(prefix) === 0 && checkIsValidCssColor(getCSSVar(name))) {
+        const group = groupBy(name);
+
+        if (group) {
+          panels[group] = panels[group] || [];
+          panels[group].push(`var(${name})`);
+        }
+      }
+    });
+
+    return Object.keys(panels).map(name => ({ name, values: panels[name] }));
+  }
+
+  /**
+   * Build swatch panels from W3C design tokens or Style Dictionary JSON.
+   * Each group that contains color tokens becomes a panel, and each token is mapped to a CSS
+   * variable named after its path, e.g. color.brand.500 becomes var(--color-brand-500).
+   * @param {(object|string)} json The design tokens.
+   * @param {object} [options] Loader options.
+   * @param {string} [options.cssVarPrefix] Prefix of the CSS variable names, e.g. "ds" for --ds-color-brand-500.
+   * @param {boolean} [options.fallback] Set to true to add the token's value as the var() fallback.
+   * @return {array} Swatch panels in the format { name, values }.
+   */
+  function loadTokens(json, options = {}) {
+    const tokens = typeof json === 'string' ? JSON.parse(json) : json;
+    const prefix = options.cssVarPrefix ? `${options.cssVarPrefix.replace(/^-+|-+$/g, '')}-` : '';
+    const index = {};
+    const panels = {};
+    const getValue = node => node.$value !== undefined ? node.$value : node.value;
+
+    // Style Dictionary tokens use "value" instead of "$value"
+    const isToken = node => node.$value !== undefined || (node.value !== undefined && typeof node.value !== 'object');
+
+    // Index the tokens by path, the type of a group applies to its tokens
+    const walk = (group, path, groupType) => {
+      for (const key in group) {
+        const node = group[key];
+
+        if (key.charAt(0) !== '$' && node && typeof node === 'object') {
+          const nodePath = path.concat(key);
+
+          if (isToken(node)) {
+            index[nodePath.join('.')] = { path: nodePath, node, type: node.$type || node.type || groupType };
+          } else {
+            walk(node, nodePath, node.$type || groupType);
+          }
+        }
+      }
+    };
+
+    // Follow the {alias} references, an alias has the type of its target unless it has its own
+    const resolve = (token, seen) => {
+      const value = getValue(token.node);
+      const alias = typeof value === 'string' && /^\{([^{}]+)\}$/.exec(value.trim());
+
+      if (!alias) {
+        return { value, type: token.type };
+      }
+
+      if (!index[alias[1]] || seen.indexOf(alias[1]) !== -1) {
+        return null;
+      }
+
+      const resolved = resolve(index[alias[1]], seen.concat(alias[1]));
+      return resolved && { value: resolved.value, type: token.type || resolved.type };
+    };
+
+    if (!tokens || typeof tokens !== 'object') {
+      return [];
+    }
+
+    walk(tokens, [], tokens.$type);
+
+    for (const key in index) {
+      const token = index[key];
+      const resolved = resolve(token, [key]);
+
+      if (!resolved || typeof resolved.value !== 'string') {
+        continue;
+      }
+
+      // Untyped tokens are kept if their value is a color
+      if (resolved.type ? resolved.type !== 'color' : !checkIsValidCssColor(resolved.value)) {
+        continue;
+      }
+
+      const name = `--${prefix}${token.path.join('-').replace(/[^\w-]+/g, '-')}`;
+      const value = options.fallback ? `var(${name}, ${resolved.value})` : `var(${name})`;
+      const label = token.node.$description || token.node.description;
+      const deprecated = !!token.node.$deprecated;
+      const group = token.path.slice(0, -1).join(' / ') || 'Tokens';
+
+      panels[group] = panels[group] || [];
+      panels[group].push(label || deprecated ? { value, label, deprecated } : value);
+    }
+
+    return Object.keys(panels).map(name => ({ name, values: panels[name] }));
+  }
+
+  /**
+   * Serialize the configured swatches with their resolved values.
+   * The variables are resolved against the page's styles, so the DOM must be ready.
+   * @param {string} [target] Output type: css (default), tokens (W3C design tokens JSON), scss or map (JSON { name: color }).
+   * @param {object} [options] Export options.
+   * @param {string} [options.format] Color format of the values: hex (default), rgb, hsl, hwb, lab, lch, oklab, oklch or display-p3.
+   * @return {string} The serialized palette.
+   */
+  function exportSwatches(target = 'css', options = {}) {
+    const format = options.format || 'hex';
+    const colors = [];
+    const names = [];
+    const tokens = {};
+
+    settings.swatches.forEach(panel => {
+      const group = panel.name.trim().replace(/[^\w-]+/g, '-').toLowerCase();
+
+      panel.values.forEach((item, i) => {
+        const { value: swatch, label, description, deprecated } = getSwatch(item);
+        const { isCSSVar, cssVar } = checkIfCSSVar(swatch);
+        const name = isCSSVar ? cssVar.substring(2) : `${group}-${i + 1}`;
+        const { value } = resolveCSSVar(swatch);
+
+        // Skip the duplicates and the variables that can't be resolved
+        if (names.indexOf(name) === -1 && value && checkIsValidCssColor(value)) {
+          const color = formatColor(strToRGBA(value), format, parseColorFunction(value));
+
+          names.push(name);
+          colors.push({ name, color });
+          tokens[group] = tokens[group] || {};
+          tokens[group][name] = { $value: color, $type: 'color' };
+
+          if (description || label) {
+            tokens[group][name].$description = description || label;
+          }
+
+          if (deprecated) {
+            tokens[group][name].$deprecated = true;
+          }
+        }
+      });
+    });
+
+    switch (target) {
+      case 'tokens':
+        return JSON.stringify(tokens, null, 2);
+      case 'scss':
+        return colors.map(({ name, color }) => `$${name}: ${color};`).join('\n');
+      case 'map':
+        return JSON.stringify(colors.reduce((map, { name, color }) => {
+          map[name] = color;
+          return map;
+        }, {}), null, 2);
+      default:
+        return `:root {\n${colors.map(({ name, color }) => `  --${name}: ${color};`).join('\n')}\n}`;
+    }
+  }
+
+  /**
+   * Collect the names of the custom properties declared in the stylesheets and the inline style of the root element.
+   * @return {array} Unique custom property names, in declaration order.
+   */
+  function getCustomProperties() {
+    const names = Object.keys(getDeclarations());
+    const style = document.documentElement.style;
+
+    for (let i = 0; i < style.length; i++) {
+      if (style[i].indexOf('--') === 0 && names.indexOf(style[i]) === -1) {
+        names.push(style[i]);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Get the rule lists of the document's stylesheets.
+   * @return {array} The rule lists, the cross-origin stylesheets are skipped.
+   */
+  function getStyleSheetRules() {
+    const lists = [];
+
+    for (let i = 0; i < document.styleSheets.length; i++) {
+      // Reading the rules of a cross-origin stylesheet throws a security error
+      try {
+        if (document.styleSheets[i].cssRules) {
+          lists.push(document.styleSheets[i].cssRules);
+        }
+      } catch (error) {
+        continue;
+      }
+    }
+
+    return lists;
+  }
+
+  /**
+   * Index the custom property declarations of the stylesheets by property name.
+   * @return {object} Lists of { selector, value } declarations, in document order.
+   */
+  function getDeclarations() {
+    if (declarations) {
+      return declarations;
+    }
+
+    declarations = {};
+
+    const walk = rules => {
+      for (let i = 0; i < rules.length; i++) {
+        const style = rules[i].style;
+
+        if (style && rules[i].selectorText) {
+          for (let j = 0; j < style.length; j++) {
+            if (style[j].indexOf('--') === 0) {
+              declarations[style[j]] = declarations[style[j]] || [];
+              declarations[style[j]].push({ selector: rules[i].selectorText, value: style.getPropertyValue(style[j]).trim() });
+            }
+          }
+        }
+
+        // Media queries, supports rules, layers...
+        if (rules[i].cssRules) {
+          walk(rules[i].cssRules);
+        }
+      }
+    };
+
+    getStyleSheetRules().forEach(walk);
+
+    return declarations;
+  }
+
+  /**
+   * Find the declaration of a custom property that applies to an element.
+   * This walks up from the element and, for each node, returns the inline value or the last
+   * matching declaration in document order. Specificity is not taken into account.
+   * @param {string} cssVar The custom property name.
+   * @param {object} element The element the value applies to.
+   * @return {object} The declaring element, the declared value and the rule's selector (null if inline), or null if none is found.
+   */
+  function findDeclaration(cssVar, element) {
+    const list = getDeclarations()[cssVar] || [];
+
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      const inline = node.style && node.style.getPropertyValue(cssVar).trim();
+
+      if (inline) {
+        return { element: node, value: inline, selector: null };
+      }
+
+      for (let i = list.length - 1; i >= 0; i--) {
+        // Selectors with pseudo-elements or unsupported syntax can't be matched
+        try {
+          if (node.matches(list[i].selector)) {
+            return { element: node, value: list[i].value, selector: list[i].selector };
+          }
+        } catch (error) {}
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the declared (unsubstituted) value of a custom property for an element.
+   * @param {string} cssVar The custom property name.
+   * @param {object} element The element the value applies to.
+   * @return {string} The declared value, or an empty string if none is found.
+   */
+  function getDeclaredValue(cssVar, element) {
+    const declaration = findDeclaration(cssVar, element);
+    return declaration ? declaration.value : '';
+  }
+
+  /**
+   * Watch the changes that may affect the value of the CSS variables.
+   * @param {(boolean|object)} options False to stop watching, true or an object to start.
+   * @param {array} [options.attributes] The attributes to watch, defaults to class, style and data-theme.
+   * @param {(string|array)} [options.targets] The elements, or their selectors, whose attributes are watched.
+   * Defaults to <html> and <body>, their descendants aren't watched as their changes are rarely theme switches.
+   */
+  function observeVariables(options) {
+    if (observer) {
+      observer.disconnect();
+      colorSchemeQuery.removeEventListener('change', refreshStyles);
+      observer = null;
+    }
+
+    if (!options || !window.MutationObserver) {
+      return;
+    }
+
+    const attributes = options.attributes || ['class', 'style', 'data-theme'];
+    const targets = options.targets ? [].concat(options.targets) : [document.documentElement, document.body];
+
+    observer = new MutationObserver(mutations => {
+      // Ignore the changes made by the color picker itself
+      const relevant = mutations.some(mutation => {
+        return mutation.type === 'childList' || !mutation.target.closest('.color-var-picker-picker, .color-var-picker-field');
+      });
+
+      if (relevant) {
+        refreshStyles();
+      }
+    });
+
+    targets.forEach(item => {
+      getFields(item).forEach(element => {
+        observer.observe(element, { attributes: true, attributeFilter: attributes });
+      });
+    });
+
+    // Stylesheets being added or removed
+    observer.observe(document.head, { childList: true });
+
+    colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    colorSchemeQuery.addEventListener('change', refreshStyles);
+  }
+
+  /**
+   * Forget the indexed stylesheet declarations, which may have changed, and refresh the CSS variables.
+   */
+  function refreshStyles() {
+    declarations = null;
+    scheduleRefresh();
+  }
+
+  /**
+   * Refresh the CSS variables on the next frame, so that a batch of changes only causes one repaint.
+   */
+  function scheduleRefresh() {
+    if (!refreshRequest) {
+      refreshRequest = requestAnimationFrame(() => {
+        refreshRequest = null;
+        refreshVariables();
+      });
+    }
+  }
+
+  /**
+   * Re-resolve the CSS variables and update the swatches, the thumbnails and the active color.
+   */
+  function refreshVariables() {
+    const focused = document.activeElement;
+    const focusedSwatch = focused && picker.contains(focused) && focused.getAttribute('role') === 'option' ? focused.id : null;
+
+    // The stylesheets are only rescanned when they change, not when a variable is edited
+    if (swatchDiscovery) {
+      settings.swatches = discoverSwatches(swatchDiscovery);
+    }
+
+    renderSwatches(settings.swatches);
+
+    // The swatches are rebuilt, a keyboard user stays on the same one
+    if (focusedSwatch) {
+      focusSwatch(document.getElementById(focusedSwatch));
+    }
+
+    pruneDetachedFields();
+
+    wrappedFields.forEach(field => {
+      field.parentNode.style.color = resolveColor(field.value, field);
+    });
+
+    let value = null;
+
+    if (currentEl) {
+      value = currentEl.value;
+    } else if (settings.inline) {
+      value = currentChain.length ? `var(${currentChain[0]})` : colorValue.value;
+    }
+
+    // The active color is left alone if it didn't change, so that the editor keeps its hue
+    if (value !== null && RGBAToHex(strToRGBA(resolveColor(value))) !== RGBAToHex(currentColor)) {
+      setColorFromStr(value);
+    }
+  }
+
+  /**
+   * Get the element whose inline style receives an edited variable, along with its selector for the export.
+   * That's the configured scope if any. Otherwise it's the element that declares the variable for the field,
+   * so that the field sees the change even inside a themed subtree, and the root element if none does.
+   * An element is exported with its id, or else the selector of its declaration, or else under :root
+   * since no other selector is sure to match it alone.
+   * @param {string} cssVar The variable name.
+   * @return {object} The element and its selector.
+   */
+  function getEditTarget(cssVar) {
+    const scope = settings.scope;
+    let element = document.documentElement;
+    let selector = ':root';
+
+    if (scope && scope !== 'field') {
+      element = getScope(currentEl);
+
+      if (element !== document.documentElement) {
+        selector = typeof scope === 'string' ? scope : element.id ? `#${element.id}` : ':root';
+      }
+    } else {
+      const declaration = findDeclaration(cssVar, getScope(currentEl));
+
+      if (declaration && declaration.element !== document.documentElement) {
+        element = declaration.element;
+        selector = element.id ? `#${element.id}` : declaration.selector || ':root';
+      }
+    }
+
+    return { element, selector };
+  }
+
+  /**
+   * Change the value of a CSS variable in theme editor mode.
+   * The successive changes made during the same drag are merged in a single undo step.
+   * @param {string} cssVar The variable name.
+   * @param {string} value The new value.
+   */
+  function editVariable(cssVar, value) {
+    const { element, selector } = getEditTarget(cssVar);
+    const oldValue = element.style.getPropertyValue(cssVar);
+
+    // Remember the original value for the reset
+    if (!editedVariables.some(edit => edit.element === element && edit.cssVar === cssVar)) {
+      editedVariables.push({ element, selector, cssVar, original: oldValue });
+    }
+
+    if (pendingEdit && pendingEdit.element === element && pendingEdit.cssVar === cssVar) {
+      pendingEdit.value = value;
+    } else {
+      pendingEdit = { element, cssVar, oldValue, value };
+      variableHistory.push(pendingEdit);
+    }
+
+    setVariable(element, cssVar, value);
+  }
+
+  /**
+   * Set the inline value of a CSS variable and trigger a "picker:variablechange" event.
+   * @param {object} element The element whose inline style is changed.
+   * @param {string} cssVar The variable name.
+   * @param {string} value The new value, an empty string removes the inline value.
+   */
+  function setVariable(element, cssVar, value) {
+    const oldValue = window.getComputedStyle(element).getPropertyValue(cssVar).trim();
+
+    if (value) {
+      element.style.setProperty(cssVar, value);
+    } else {
+      element.style.removeProperty(cssVar);
+    }
+
+    const newValue = window.getComputedStyle(element).getPropertyValue(cssVar).trim();
+
+    document.dispatchEvent(new CustomEvent('picker:variablechange', { detail: { variable: cssVar, oldValue, newValue, element } }));
+    emit('variablechange', { variable: cssVar, oldValue, newValue, element });
+    scheduleRefresh();
+  }
+
+  /**
+   * Undo the last change made to a CSS variable in theme editor mode.
+   */
+  function undoVariable() {
+    const edit = variableHistory.pop();
+
+    pendingEdit = null;
+
+    if (edit) {
+      setVariable(edit.element, edit.cssVar, edit.oldValue);
+    }
+  }
+
+  /**
+   * Restore the original values of all the CSS variables edited in theme editor mode.
+   */
+  function resetVariables() {
+    pendingEdit = null;
+    variableHistory.length = 0;
+
+    editedVariables.splice(0).forEach(({ element, cssVar, original }) => {
+      if (element.style.getPropertyValue(cssVar) !== original) {
+        setVariable(element, cssVar, original);
+      }
+    });
+  }
+
+  /**
+   * Serialize the CSS variables overridden in theme editor mode.
+   * The rules use the selectors of the edited elements, as chosen by getEditTarget().
+   * Nothing is edited before the DOM is ready, so the export is empty until then.
+   * @param {string} [target] Output type: css (default) or map (JSON { name: value }).
+   * @return {string} The serialized overrides.
+   */
+  function exportVariables(target = 'css') {
+    const rules = {};
+    const map = {};
+
+    editedVariables.forEach(({ element, selector, cssVar, original }) => {
+      const value = element.style.getPropertyValue(cssVar).trim();
+
+      if (value !== original.trim()) {
+        rules[selector] = rules[selector] || [];
+        rules[selector].push(`  ${cssVar}: ${value};`);
+        map[cssVar] = value;
+      }
+    });
+
+    if (target === 'map') {
+      return JSON.stringify(map, null, 2);
+    }
+
+    return Object.keys(rules).map(selector => `${selector} {\n${rules[selector].join('\n')}\n}`).join('\n\n');
+  }
+
+  /**
+   * Add or update a virtual instance.
+   * @param {String} selector The CSS selector of the elements to which the instance is attached.
+   * @param {Object} options Per-instance options to apply.
+   */
+  function setVirtualInstance(selector, options) {
     if (typeof selector === 'string' && typeof options === 'object') {
       instances[selector] = options;
       hasInstance = true;
@@ -189,7 +3018,7 @@
   function attachVirtualInstance(element) {
     if (hasInstance) {
       // These options can only be set globally, not per instance
-      const unsupportedOptions = ['el', 'wrap', 'inline', 'defaultColor'];
+      const unsupportedOptions = ['el', 'wrap', 'inline', 'defaultColor', 'observe'];
 
       for (let selector in instances) {
         const options = instances[selector];
@@ -207,6 +3036,11 @@
             defaultInstance[option] = Array.isArray(settings[option]) ? settings[option].slice() : settings[option];
           }
 
+          // Discovered swatches are rescanned rather than restored as is
+          if (options.swatches && swatchDiscovery) {
+            defaultInstance.swatches = swatchDiscovery;
+          }
+
           // Set the instance's options
           configure(options);
           break;
@@ -216,150 +3050,440 @@
   }
 
   /**
-   * Revert any per-instance options that were previously applied.
+   * Revert any per-instance options that were previously applied.
+   */
+  function resetVirtualInstance() {
+    if (Object.keys(defaultInstance).length > 0) {
+      configure(defaultInstance);
+      currentInstanceId = '';
+      defaultInstance = {};
+    }
+  }
+
+  /**
+   * Bind the color picker to input fields that match the selector.
+   * @param {(string|object)} selector One or more selectors pointing to input fields, or the fields themselves.
+   */
+  function bindFields(selector) {
+    // Show the color picker on click on the input fields that match the selector
+    const open = event => {
+      openPicker(event.target);
+    };
+
+    // Update the color preview of the input fields that match the selector
+    const updateThumbnail = event => {
+      const parent = event.target.parentNode;
+
+      // Only update the preview if the field has been previously wrapped
+      if (parent.classList.contains('color-var-picker-field')) {
+        parent.style.color = resolveColor(event.target.value, event.target);
+        //parent.style.background = event.target.value;
+      }
+    };
+
+    const start = listeners.length;
+
+    boundSelectors.push(selector);
+
+    // Selectors use delegation, elements get their own listeners
+    if (typeof selector === 'string') {
+      addListener(document, 'click', selector, open);
+      addListener(document, 'input', selector, updateThumbnail);
+    } else {
+      getFields(selector).forEach(field => {
+        addListener(field, 'click', open);
+        addListener(field, 'input', updateThumbnail);
+      });
+    }
+
+    // Remember which listeners belong to the selector so that they can be removed
+    listeners.slice(start).forEach(listener => {
+      listener.binding = selector;
+    });
+  }
+
+  /**
+   * Unbind the color picker from the input fields that were bound with a selector.
+   * @param {(string|object)} selector The selector, or the fields, previously passed to bindFields().
+   */
+  function unbindFields(selector) {
+    if (currentEl && getFields(selector).indexOf(currentEl) !== -1) {
+      closePicker();
+    }
+
+    removeListeners(listener => listener.binding === selector);
+
+    if (boundSelectors.indexOf(selector) !== -1) {
+      boundSelectors.splice(boundSelectors.indexOf(selector), 1);
+    }
+
+    pruneDetachedFields();
+  }
+
+  /**
+   * Get the fields matching a selector.
+   * @param {(string|object)} selector One or more selectors, an element or a list of elements.
+   * @return {array} The fields.
+   */
+  function getFields(selector) {
+    if (typeof selector === 'string') {
+      return Array.prototype.slice.call(document.querySelectorAll(selector));
+    }
+
+    return selector instanceof Element ? [selector] : Array.prototype.slice.call(selector || []);
+  }
+
+  /**
+   * Check whether a field is bound to this color picker.
+   * @param {object} field The field.
+   * @return {boolean} True if the field is bound.
+   */
+  function isBoundField(field) {
+    return boundSelectors.some(selector => {
+      return typeof selector === 'string' ? field.matches(selector) : getFields(selector).indexOf(field) !== -1;
+    });
+  }
+
+  /**
+   * Open the color picker.
+   * @param {object} field The bound field to pick a color for.
+   */
+  function openPicker(field) {
+    // Skip if inline mode is in use
+    if (settings.inline || !field) {
+      return;
+    }
+
+    // Let the listeners veto the opening
+    if (!field.dispatchEvent(new CustomEvent('picker:beforeopen', { bubbles: true, cancelable: true, detail: { field, color: field.value } }))) {
+      return;
+    }
+
+    // Apply any per-instance options first
+    attachVirtualInstance(field);
+
+    currentEl = field;
+    oldColor = currentEl.value;
+    oldCompanion = getCompanionValue(field);
+    currentFormat = getColorFormatFromStr(oldColor);
+    picker.classList.add('color-var-picker-open');
+
+    // Start every search from scratch
+    searchField.value = '';
+    pendingRecent = null;
+
+    // Resolve the swatches against the scope of the field
+    renderSwatches(settings.swatches);
+
+    updatePickerPosition();
+    trackPosition(true);
+    setColorFromStr(oldColor);
+
+    if (settings.focusInput || settings.selectInput) {
+      colorValue.focus({ preventScroll: true });
+    } else if (settings.search) {
+      searchField.focus({ preventScroll: true });
+    }
+
+    if (settings.selectInput) {
+      colorValue.select();
+    }
+
+    // Trigger an "open" event
+    const detail = getPickDetail(oldColor);
+
+    // The companion may still hold the value of another field
+    if (oldColor) {
+      updateCompanion(getMirroredValue(detail), currentEl);
+    }
+
+    currentEl.dispatchEvent(new CustomEvent('open', { bubbles: true, detail }));
+    emit('open', detail);
+  }
+
+  /**
+   * Get all the fields bound to this color picker.
+   * @return {array} The fields.
+   */
+  function getBoundFields() {
+    return boundSelectors.reduce((fields, selector) => fields.concat(getFields(selector)), []);
+  }
+
+  /**
+   * Get the color value of a field or, in inline mode, the last picked color.
+   * @param {(string|object)} [field] The field, defaults to the active field or the first bound one.
+   * @return {string} The color value.
+   */
+  function getValue(field) {
+    if (settings.inline) {
+      return pickedColor !== undefined ? pickedColor : settings.defaultColor;
+    }
+
+    field = field ? getFields(field)[0] : currentEl || getBoundFields()[0];
+    return field ? field.value : undefined;
+  }
+
+  /**
+   * Set the color value of a field or, in inline mode, of the color picker.
+   * @param {string} color The color value, an empty value resets the inline color picker to its default color.
+   * @param {(string|object)} [field] The field, defaults to the active field or the first bound one.
+   */
+  function setValue(color, field) {
+    if (settings.inline) {
+      pickedColor = color || undefined;
+      setColorFromStr(color || settings.defaultColor);
+      return;
+    }
+
+    field = field ? getFields(field)[0] : currentEl || getBoundFields()[0];
+
+    if (field) {
+      field.value = color;
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+
+      if (field === currentEl) {
+        setColorFromStr(color);
+      }
+    }
+  }
+
+  /**
+   * Add a handler to one of this color picker's events: open, close, pick or change.
+   * @param {string} type The event type.
+   * @param {function} fn The handler, it receives the event detail.
+   * @return {function} A function that removes the handler.
+   */
+  function addEventHandler(type, fn) {
+    eventHandlers[type] = eventHandlers[type] || [];
+    eventHandlers[type].push(fn);
+
+    return () => {
+      eventHandlers[type] = eventHandlers[type].filter(handler => handler !== fn);
+    };
+  }
+
+  /**
+   * Call the handlers of one of this color picker's events.
+   * @param {string} type The event type.
+   * @param {object} detail The event detail.
+   */
+  function emit(type, detail) {
+    (eventHandlers[type] || []).forEach(fn => fn(detail));
+  }
+
+  /**
+   * Update the color picker's position next to the current field.
+   * The picker is placed as set by the placement setting, then flipped to the opposite side
+   * or shifted along the field if it overflows the viewport or a clipping ancestor.
+   */
+  function updatePickerPosition() {
+    if (settings.inline || !currentEl) {
+      return;
+    }
+
+    const [side, align = 'center'] = settings.placement.split('-');
+    const opposite = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+    const vertical = side === 'top' || side === 'bottom';
+    const reference = currentEl.getBoundingClientRect();
+    const boundary = getClippingRect();
+    const width = picker.offsetWidth;
+    const height = picker.offsetHeight;
+    let placement = { side, align };
+    let coords, origin;
+
+    // Flip to the opposite side if the picker doesn't fit and there is more room there
+    if (settings.flip) {
+      const space = {
+        top: reference.top - boundary.top,
+        bottom: boundary.bottom - reference.bottom,
+        left: reference.left - boundary.left,
+        right: boundary.right - reference.right
+      };
+
+      if (space[side] < (vertical ? height : width) + settings.margin && space[opposite[side]] > space[side]) {
+        placement.side = opposite[side];
+      }
+    }
+
+    coords = getPlacementCoords(reference, placement, width, height);
+
+    // Align to the other edge of the field if the picker overflows on the cross axis
+    if (settings.flip && align !== 'center' && getOverflow(coords, width, height, boundary, vertical) > 0) {
+      const flipped = { side: placement.side, align: align === 'start' ? 'end' : 'start' };
+      const flippedCoords = getPlacementCoords(reference, flipped, width, height);
+
+      if (getOverflow(flippedCoords, width, height, boundary, vertical) < getOverflow(coords, width, height, boundary, vertical)) {
+        placement = flipped;
+        coords = flippedCoords;
+      }
+    }
+
+    // Shift the picker into the boundary on the cross axis, without detaching it from the field
+    if (settings.shift) {
+      if (vertical) {
+        coords.x = Math.max(boundary.left, Math.min(coords.x, boundary.right - width));
+        coords.x = Math.max(reference.left - width, Math.min(coords.x, reference.right));
+      } else {
+        coords.y = Math.max(boundary.top, Math.min(coords.y, boundary.bottom - height));
+        coords.y = Math.max(reference.top - height, Math.min(coords.y, reference.bottom));
+      }
+    }
+
+    picker.classList.toggle('color-var-picker-left', placement.align === 'end');
+    picker.classList.toggle('color-var-picker-top', placement.side === 'top');
+    picker.setAttribute('data-placement', placement.align === 'center' ? placement.side : `${placement.side}-${placement.align}`);
+
+    // Measure the origin of the containing block, whatever the strategy, the parent and its scroll position
+    picker.style.left = '0px';
+    picker.style.top = '0px';
+    origin = picker.getBoundingClientRect();
+
+    picker.style.left = `${coords.x - origin.left}px`;
+    picker.style.top = `${coords.y - origin.top}px`;
+  }
+
+  /**
+   * Compute the viewport coordinates of the color picker for a placement.
+   * @param {object} reference The bounding rectangle of the field.
+   * @param {object} placement The side (top, bottom, left or right) and the alignment (start, center or end).
+   * @param {number} width The width of the picker.
+   * @param {number} height The height of the picker.
+   * @return {object} The x and y coordinates of the top left corner of the picker.
+   */
+  function getPlacementCoords(reference, placement, width, height) {
+    const { side, align } = placement;
+    const coords = { x: 0, y: 0 };
+
+    if (side === 'top' || side === 'bottom') {
+      coords.y = side === 'top' ? reference.top - height - settings.margin : reference.bottom + settings.margin;
+      coords.x = align === 'start' ? reference.left : align === 'end' ? reference.right - width : reference.left + (reference.width - width) / 2;
+    } else {
+      coords.x = side === 'left' ? reference.left - width - settings.margin : reference.right + settings.margin;
+      coords.y = align === 'start' ? reference.top : align === 'end' ? reference.bottom - height : reference.top + (reference.height - height) / 2;
+    }
+
+    return coords;
+  }
+
+  /**
+   * Measure how much the color picker overflows the boundary on the cross axis of its placement.
+   * @param {object} coords The x and y coordinates of the picker.
+   * @param {number} width The width of the picker.
+   * @param {number} height The height of the picker.
+   * @param {object} boundary The clipping rectangle.
+   * @param {boolean} vertical True if the picker is above or below the field.
+   * @return {number} The overflow in pixels, 0 or less if the picker fits.
    */
-  function resetVirtualInstance() {
-    if (Object.keys(defaultInstance).length > 0) {
-      configure(defaultInstance);
-      currentInstanceId = '';
-      defaultInstance = {};
+  function getOverflow(coords, width, height, boundary, vertical) {
+    if (vertical) {
+      return Math.max(boundary.left - coords.x, coords.x + width - boundary.right);
     }
+
+    return Math.max(boundary.top - coords.y, coords.y + height - boundary.bottom);
   }
 
   /**
-   * Bind the color picker to input fields that match the selector.
-   * @param {string} selector One or more selectors pointing to input fields.
+   * Get the area in which the color picker is visible: the visual viewport (which excludes the virtual keyboard
+   * on mobile) intersected with the ancestors of the picker that clip their content.
+   * @return {object} The left, top, right and bottom edges of the area, in viewport coordinates.
    */
-  function bindFields(selector) {
-    // Show the color picker on click on the input fields that match the selector
-    addListener(document, 'click', selector, event => {
-      // Skip if inline mode is in use
-      if (settings.inline) {
-        return;
-      }
+  function getClippingRect() {
+    const viewport = window.visualViewport;
+    const rect = viewport ?
+      { left: viewport.offsetLeft, top: viewport.offsetTop, right: viewport.offsetLeft + viewport.width, bottom: viewport.offsetTop + viewport.height } :
+      { left: 0, top: 0, right: document.documentElement.clientWidth, bottom: document.documentElement.clientHeight };
+
+    // Fixed positioning escapes the scroll containers
+    if (settings.strategy === 'fixed') {
+      return rect;
+    }
 
-      // Apply any per-instance options first
-      attachVirtualInstance(event.target);
+    for (let element = picker.parentElement; element && element !== document.body && element !== document.documentElement; element = element.parentElement) {
+      const style = window.getComputedStyle(element);
 
-      currentEl = event.target;
-      oldColor = currentEl.value;
-      currentFormat = getColorFormatFromStr(oldColor);
-      picker.classList.add('color-var-picker-open');
-      
-      updatePickerPosition();
-      setColorFromStr(oldColor);
+      if (/auto|scroll|hidden|clip/.test(style.overflow + style.overflowX + style.overflowY)) {
+        const box = element.getBoundingClientRect();
+        const left = box.left + element.clientLeft;
+        const top = box.top + element.clientTop;
 
-      if (settings.focusInput || settings.selectInput) {
-        colorValue.focus({ preventScroll: true });
+        rect.left = Math.max(rect.left, left);
+        rect.top = Math.max(rect.top, top);
+        rect.right = Math.min(rect.right, left + element.clientWidth);
+        rect.bottom = Math.min(rect.bottom, top + element.clientHeight);
       }
-      
-      if (settings.selectInput) {
-        colorValue.select();
-      }
-
-      // Trigger an "open" event
-      currentEl.dispatchEvent(new Event('open', { bubbles: true }));
-    });
-
-    // Update the color preview of the input fields that match the selector
-    addListener(document, 'input', selector, event => {
-      const parent = event.target.parentNode;
+    }
 
-      // Only update the preview if the field has been previously wrapped
-      if (parent.classList.contains('color-var-picker-field')) {
-        parent.style.color = event.target.value;
-        //parent.style.background = event.target.value;
-      }
-    });
+    return rect;
   }
 
   /**
-   * Update the color picker's position and the color gradient's offset
+   * Keep the color picker next to its field while it's open, when the page or a container scrolls,
+   * when the window or the visual viewport is resized, or when the size of the field or the picker changes.
+   * @param {boolean} enable Start tracking if true, stop otherwise.
    */
-  function updatePickerPosition() {
-    const parent = container;
-    const scrollY = window.scrollY;
-    const pickerWidth = picker.offsetWidth;
-    const pickerHeight = picker.offsetHeight;
-    const reposition = { left: false, top: false };
-    let parentStyle, parentMarginTop, parentBorderTop;
-    let offset = { x: 0, y: 0 };
-
-    if (parent) {
-      parentStyle = window.getComputedStyle(parent);
-      parentMarginTop = parseFloat(parentStyle.marginTop);
-      parentBorderTop = parseFloat(parentStyle.borderTopWidth);
-
-      offset = parent.getBoundingClientRect();
-      offset.y += parentBorderTop + scrollY;
-    }
-
-    if (!settings.inline) {
-      const coords = currentEl.getBoundingClientRect();
-      let left = coords.x;
-      let top = scrollY + coords.y + coords.height + settings.margin;
-
-      // If the color picker is inside a custom container
-      // set the position relative to it
-      if (parent) {
-        left -= offset.x;
-        top -= offset.y;
-
-        if (left + pickerWidth > parent.clientWidth) {
-          left += coords.width - pickerWidth;
-          reposition.left = true;
-        }
-
-        if (top + pickerHeight >  parent.clientHeight - parentMarginTop) {
-          if (pickerHeight + settings.margin <= coords.top - (offset.y - scrollY)) {
-            top -= coords.height + pickerHeight + settings.margin * 2;
-            reposition.top = true;
-          }
-        }
+  function trackPosition(enable) {
+    const viewport = window.visualViewport;
+    const method = enable ? 'addEventListener' : 'removeEventListener';
 
-        top += parent.scrollTop;
+    // Scroll events don't bubble, they are captured to catch the scrolling of any container
+    document[method]('scroll', schedulePositionUpdate, true);
+    window[method]('resize', schedulePositionUpdate);
 
-      // Otherwise set the position relative to the whole document
-      } else {
-        if (left + pickerWidth > document.documentElement.clientWidth) {
-          left += coords.width - pickerWidth;
-          reposition.left = true;
-        }
+    if (viewport) {
+      viewport[method]('resize', schedulePositionUpdate);
+      viewport[method]('scroll', schedulePositionUpdate);
+    }
 
-        if (top + pickerHeight - scrollY > document.documentElement.clientHeight) {
-          if (pickerHeight + settings.margin <= coords.top) {
-            top = scrollY + coords.y - pickerHeight - settings.margin;
-            reposition.top = true;
-          }
-        }
-      }
+    if (positionObserver) {
+      positionObserver.disconnect();
+      positionObserver = null;
+    }
+
+    if (enable && window.ResizeObserver) {
+      positionObserver = new ResizeObserver(schedulePositionUpdate);
+      positionObserver.observe(currentEl);
+      positionObserver.observe(picker);
+    }
 
-      picker.classList.toggle('color-var-picker-left', reposition.left);
-      picker.classList.toggle('color-var-picker-top', reposition.top);
-      picker.style.left = `${left}px`;
-      picker.style.top = `${top}px`;
+    if (!enable && positionRequest) {
+      cancelAnimationFrame(positionRequest);
+      positionRequest = null;
+    }
+  }
+
+  /**
+   * Update the color picker's position on the next frame, so that a burst of events only causes one update.
+   */
+  function schedulePositionUpdate() {
+    if (!positionRequest) {
+      positionRequest = requestAnimationFrame(() => {
+        positionRequest = null;
+        updatePickerPosition();
+      });
     }
-    
   }
 
   /**
    * Wrap the linked input fields in a div that adds a color preview.
-   * @param {string} selector One or more selectors pointing to input fields.
+   * @param {(string|object)} selector One or more selectors pointing to input fields, or the fields themselves.
    */
   function wrapFields(selector) {
-    document.querySelectorAll(selector).forEach(field => {
+    pruneDetachedFields();
+
+    getFields(selector).forEach(field => {
       const parentNode = field.parentNode;
 
       if (!parentNode.classList.contains('color-var-picker-field')) {
         const wrapper = document.createElement('div');
 
-        wrapper.innerHTML = `<button type="button" aria-labelledby="color-var-picker-open-label"></button>`;
+        wrappedFields.push(field);
+        wrapper.innerHTML = `<button type="button" aria-labelledby="color-var-picker-open-label${idSuffix}"></button>`;
         parentNode.insertBefore(wrapper, field);
         wrapper.setAttribute('class', 'color-var-picker-field');
         //if(parentNode.classList.contains('full')){
         //  wrapper.style.background = field.value;
         //} else {  
-          wrapper.style.color = field.value;
+          wrapper.style.color = resolveColor(field.value, field);
         //}
         //wrapper.style.color = field.value;
         wrapper.appendChild(field);
@@ -367,6 +3491,70 @@
     });
   }
 
+  /**
+   * Remove the wrapper that wrapFields() added around the fields.
+   * @param {(string|object)} selector One or more selectors pointing to input fields, or the fields themselves.
+   */
+  function unwrapFields(selector) {
+    getFields(selector).forEach(field => {
+      const wrapper = field.parentNode;
+      const index = wrappedFields.indexOf(field);
+
+      if (index !== -1 && wrapper.classList.contains('color-var-picker-field')) {
+        wrapper.parentNode.insertBefore(field, wrapper);
+        wrapper.parentNode.removeChild(wrapper);
+        wrappedFields.splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Forget the fields that were removed from the page, e.g. when a component is unmounted.
+   */
+  function pruneDetachedFields() {
+    for (let i = wrappedFields.length - 1; i >= 0; i--) {
+      if (!wrappedFields[i].isConnected) {
+        wrappedFields.splice(i, 1);
+      }
+    }
+
+    for (let i = companionAttributes.length - 1; i >= 0; i--) {
+      if (!companionAttributes[i].field.isConnected) {
+        companionAttributes.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Remove the color picker: its dialog, its listeners and the wrappers of its fields.
+   * The changes it made to the page (edited variables, companion attributes) are reverted too.
+   * The color picker can't be used anymore afterwards.
+   */
+  function destroy() {
+    closePicker();
+    resetVariables();
+    observeVariables(false);
+    cancelAnimationFrame(refreshRequest);
+    document.removeEventListener('mousemove', moveMarker);
+    document.removeEventListener('touchmove', moveMarker);
+
+    removeListeners(() => true);
+    unwrapFields(wrappedFields.slice());
+    boundSelectors.length = 0;
+
+    companionAttributes.splice(0).forEach(({ field, name, original }) => {
+      if (original === null) {
+        field.removeAttribute(name);
+      } else {
+        field.setAttribute(name, original);
+      }
+    });
+
+    if (picker.parentNode) {
+      picker.parentNode.removeChild(picker);
+    }
+  }
+
   /**
    * Close the color picker.
    * @param {boolean} [revert] If true, revert the color to the original value.
@@ -375,6 +3563,13 @@
     if (currentEl && !settings.inline) {
       const prevEl = currentEl;
 
+      // The reverted colors aren't recent colors, the others are stored before the instance options are reset
+      if (revert) {
+        pendingRecent = null;
+      } else {
+        flushRecentColor();
+      }
+
       // Revert the color to the original value if needed
       if (revert) {
         // This will prevent the "change" event on the colorValue input to execute its handler
@@ -382,6 +3577,7 @@
 
         if (oldColor !== prevEl.value) {
           prevEl.value = oldColor;
+          updateCompanion(oldCompanion, prevEl);
 
           // Trigger an "input" event to force update the thumbnail next to the input field
           prevEl.dispatchEvent(new Event('input', { bubbles: true }));
@@ -392,11 +3588,14 @@
       setTimeout(() => { // Add this to the end of the event loop
         if (oldColor !== prevEl.value) {
           prevEl.dispatchEvent(new Event('change', { bubbles: true }));
+          emit('change', { field: prevEl, color: prevEl.value });
         }
       });
 
       // Hide the picker dialog
       picker.classList.remove('color-var-picker-open');
+      trackPosition(false);
+      renderSuggestions('');
 
       // Reset any previously set per-instance options
       if (hasInstance) {
@@ -404,7 +3603,8 @@
       }
 
       // Trigger a "close" event
-      prevEl.dispatchEvent(new Event('close', { bubbles: true }));
+      prevEl.dispatchEvent(new CustomEvent('close', { bubbles: true, detail: { field: prevEl, color: prevEl.value, reverted: !!revert } }));
+      emit('close', { field: prevEl, color: prevEl.value, reverted: !!revert });
 
       if (settings.focusInput) {
         prevEl.focus({ preventScroll: true });
@@ -420,18 +3620,35 @@
    * @param {string} str String representing a color.
    */
   function setColorFromStr(str) {
-    const { isCSSVar, cssVar } = checkIfCSSVar(str);
-    const fullStr = isCSSVar ? getCSSVar(cssVar) : str;
+    const { isCSSVar } = checkIfCSSVar(str);
+    const { value, chain } = resolveCSSVar(str);
+    const fullStr = isCSSVar && value ? value : str;
 
+    // Keep track of the variables the color was resolved through
+    currentChain = isCSSVar ? chain.concat(fullStr) : [];
+    picker.setAttribute('data-variable', currentChain.length > 1);
 
     const rgba = strToRGBA(fullStr);
     const hsva = RGBAtoHSVA(rgba);
 
+    // Keep the unrounded color of the CSS Color 4 functions for the output in the same spaces
+    preciseColor = parseColorFunction(fullStr);
+
     updateColor(rgba, hsva);
 
     // Update the UI
+    hueSlider.value = hsva.h;
     picker.style.color = `hsl(${hsva.h}, 100%, 50%)`;
+    hueMarker.style.left = `${hsva.h / 360 * 100}%`;
 
+    colorMarker.style.left = `${hsva.s}%`;
+    colorMarker.style.top = `${100 - hsva.v}%`;
+    updateMarkerA11yLabel(hsva.s, hsva.v);
+
+    alphaSlider.value = hsva.a * 100;
+    alphaMarker.style.left = `${hsva.a * 100}%`;
+    updateFavoriteButton();
+    updateNearestTokens();
   }
 
   /**
@@ -441,29 +3658,408 @@
    */
   function getColorFormatFromStr(str) {
     const format = str.substring(0, 3).toLowerCase();
+    const match = /^\s*(hwb|lab|lch|oklab|oklch|color\(\s*display-p3)\b/i.exec(str);
 
     if (format === 'rgb' || format === 'hsl' ) {
       return format;
     }
 
+    if (match) {
+      return match[1].toLowerCase().indexOf('color') === 0 ? 'display-p3' : match[1].toLowerCase();
+    }
+
     return 'hex';
   }
 
   /**
    * Copy the active color to the linked input field.
-   * @param {number} [color] Color value to override the active color.
+   * A cancelable "picker:beforepick" event is triggered first, its listeners can veto the color or rewrite detail.color.
+   * @param {string} [source] What picked the color: swatch, keyboard, typed, format or editor (default).
+   * @param {string} [panel] The name of the swatch panel the color was picked from.
+   * @param {object} [swatch] The swatch the color was picked from, with its metadata.
    */
-  function pickColor(color) {
-    color = color !== undefined ? color : colorValue.value;
+  function pickColor(source = 'editor', panel = null, swatch = null) {
+    const detail = getPickDetail(getOutputValue(), source, panel, swatch);
+    const proposed = detail.color;
+
+    if (!dispatchPickerEvent('picker:beforepick', detail, true)) {
+      // Show the color of the field again
+      if (currentEl) {
+        setColorFromStr(currentEl.value);
+      }
+      return;
+    }
+
+    // A listener rewrote the color, the metadata is that of its own swatch if it's another one
+    if (detail.color !== proposed) {
+      if (!swatch || getColorKey(swatch.value) !== getColorKey(detail.color)) {
+        const isSwatch = settings.swatches.some(item => item.values.some(value => getSwatch(value).value === detail.color));
+        swatch = isSwatch ? Object.assign({}, getSwatch(getSwatchByValue(detail.color))) : null;
+      }
+
+      setColorFromStr(detail.color);
+      Object.assign(detail, getPickDetail(detail.color, source, panel, swatch));
+    }
+
+    updateCompanion(getMirroredValue(detail), currentEl);
 
     if (currentEl) {
-      currentEl.value = color;
+      recordPick(currentEl, source, detail.color);
+      currentEl.value = detail.color;
       currentEl.dispatchEvent(new Event('input', { bubbles: true }));
     }
 
-    document.dispatchEvent(new CustomEvent('picker:pick', { detail: { color } }));
+    pickedColor = detail.color;
+    dispatchPickerEvent('picker:pick', detail);
+    emit('pick', detail);
+
+    addRecentColor(detail.variable || detail.resolved, source);
+    updateFavoriteButton();
+    updateNearestTokens();
+  }
+
+  /**
+   * Get the value to write in the field for the active color, as selected by the valueMode option.
+   * @return {string} The variable, the resolved color or both.
+   */
+  function getOutputValue() {
+    const resolved = colorValue.value;
+
+    if (!currentChain.length || settings.valueMode === 'resolved') {
+      return resolved;
+    } else if (settings.valueMode === 'both') {
+      return `var(${currentChain[0]}, ${resolved})`;
+    }
+
+    return `var(${currentChain[0]})`;
+  }
+
+  /**
+   * Describe the active color for the event listeners.
+   * @param {string} color The value written to the field.
+   * @param {string} [source] What picked the color.
+   * @param {string} [panel] The name of the swatch panel the color was picked from.
+   * @param {object} [swatch] The swatch the color was picked from, with its metadata.
+   * @return {object} The event detail.
+   */
+  function getPickDetail(color, source, panel, swatch) {
+    const values = {};
+
+    ['hex', 'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'display-p3'].forEach(format => {
+      values[format] = formatColor(currentColor, format, preciseColor);
+    });
+
+    return {
+      field: currentEl || null,
+      color: color,
+      variable: currentChain.length ? `var(${currentChain[0]})` : null,
+      name: currentChain.length ? currentChain[0] : null,
+      resolved: colorValue.value,
+      values: values,
+      chain: currentChain.slice(),
+      panel: panel || null,
+      swatch: swatch || null,
+      source: source || null
+    };
+  }
+
+  /**
+   * Trigger a custom event on the active field, or on the picker in inline mode. The event bubbles.
+   * @param {string} type The event type.
+   * @param {object} detail The event detail.
+   * @param {boolean} [cancelable] Whether the event can be canceled.
+   * @return {boolean} False if a listener canceled the event.
+   */
+  function dispatchPickerEvent(type, detail, cancelable) {
+    const target = detail.field || picker;
+
+    return target.dispatchEvent(new CustomEvent(type, { bubbles: true, composed: true, cancelable: !!cancelable, detail }));
+  }
+
+  /**
+   * Record the value of a field before a pick in its undo history.
+   * The picks of a drag in the editor are recorded as one until the pointer is released.
+   * @param {object} field The field.
+   * @param {string} source What picked the color.
+   * @param {string} value The picked value, nothing is recorded if it's the value of the field already.
+   */
+  function recordPick(field, source, value) {
+    const history = pickHistory.get(field) || { undo: [], redo: [] };
+
+    if (value === field.value) {
+      return;
+    }
+
+    if (pendingPick !== field) {
+      history.undo.push(field.value);
+    }
+
+    history.redo.length = 0;
+    pickHistory.set(field, history);
+    pendingPick = source === 'editor' ? field : null;
+  }
+
+  /**
+   * Check if an element takes text input, and so has its own undo history.
+   * @param {object} element The element.
+   * @return {boolean} True for text inputs, text areas and editable content.
+   */
+  function isTextField(element) {
+    if (element.isContentEditable || element.localName === 'textarea') {
+      return true;
+    }
+
+    return element.localName === 'input' && !/^(range|radio|checkbox|button|submit|reset|color|file|image|hidden)$/.test(element.type);
+  }
+
+  /**
+   * End the drag in the editor: its color is stored in the recent colors, the next pick is recorded separately,
+   * and the nearest variables are updated.
+   */
+  function endPendingPick() {
+    flushRecentColor();
+
+    if (pendingPick) {
+      pendingPick = null;
+      updateNearestTokens();
+    }
+  }
+
+  /**
+   * Restore the value of a field before its last pick.
+   * @param {(string|object)} [field] The field or its selector, defaults to the field of the open picker.
+   */
+  function undoPick(field) {
+    stepPickHistory(field, 'undo', 'redo');
+  }
+
+  /**
+   * Restore the value of a field that was undone last.
+   * @param {(string|object)} [field] The field or its selector, defaults to the field of the open picker.
+   */
+  function redoPick(field) {
+    stepPickHistory(field, 'redo', 'undo');
+  }
+
+  /**
+   * Move a field one step through its history.
+   * @param {(string|object)} [field] The field or its selector, defaults to the field of the open picker.
+   * @param {string} from The stack to take the value from.
+   * @param {string} to The stack to save the current value to.
+   */
+  function stepPickHistory(field, from, to) {
+    field = field ? getFields(field)[0] : currentEl;
+
+    const history = field ? pickHistory.get(field) : null;
+
+    if (!history || !history[from].length) {
+      return;
+    }
+
+    pendingPick = null;
+    history[to].push(field.value);
+    field.value = history[from].pop();
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+
+    if (field === currentEl) {
+      setColorFromStr(field.value);
+      updateSwatchSelection();
+
+      const detail = getPickDetail(field.value);
+      updateCompanion(getMirroredValue(detail), field);
+
+    // The picker triggers the "change" event when it's closed, otherwise it's triggered right away
+    } else {
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+      emit('change', { field, color: field.value });
+    }
+  }
+
+  /**
+   * Get the companion input field of a field, if any.
+   * That's the selector of the field's data-companion-field attribute, or else the companionField option,
+   * which may be a function that receives the field (null in inline mode) and returns the companion.
+   * A selector is looked up in the field's form first, so that each form can have its own companion.
+   * @param {object} [field] The field.
+   * @return {object} The companion input field.
+   */
+  function getCompanionField(field) {
+    let companion = (field && field.getAttribute('data-companion-field')) || settings.companionField;
+
+    if (typeof companion === 'function') {
+      companion = companion(field || null);
+    }
+
+    if (typeof companion === 'string') {
+      return (field && field.form && field.form.querySelector(companion)) || document.querySelector(companion);
+    }
+
+    return companion;
+  }
+
+  /**
+   * Get the value currently mirrored in the companion input field or attribute of a field.
+   * @param {object} [field] The field.
+   * @return {string} The companion value.
+   */
+  function getCompanionValue(field) {
+    const companion = getCompanionField(field);
+
+    if (field && settings.companionAttribute) {
+      return field.getAttribute(settings.companionAttribute);
+    }
+
+    return companion ? companion.value : null;
+  }
+
+  /**
+   * Get the representation of a picked color that is mirrored in the companion, the one the field doesn't hold.
+   * @param {object} detail The details of the pick.
+   * @return {string} The variable if the field holds the resolved color, the resolved color otherwise.
+   */
+  function getMirroredValue(detail) {
+    return settings.valueMode === 'resolved' ? detail.variable || '' : detail.resolved;
+  }
+
+  /**
+   * Mirror a value in the companion input field and data attribute, if any.
+   * @param {string} value The value to mirror.
+   * @param {object} [field] The field that carries the companion attribute.
+   */
+  function updateCompanion(value, field) {
+    const companion = getCompanionField(field);
+
+    if (companion && companion.value !== (value || '')) {
+      companion.value = value || '';
+      companion.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    if (field && settings.companionAttribute) {
+      if (!companionAttributes.some(item => item.field === field && item.name === settings.companionAttribute)) {
+        companionAttributes.push({ field, name: settings.companionAttribute, original: field.getAttribute(settings.companionAttribute) });
+      }
+
+      if (value === null) {
+        field.removeAttribute(settings.companionAttribute);
+      } else {
+        field.setAttribute(settings.companionAttribute, value);
+      }
+    }
+  }
+
+  /**
+   * Set the active color based on a specific point in the color gradient.
+   * @param {number} saturation Saturation in percent, matching the horizontal position.
+   * @param {number} value Value in percent, matching the vertical position.
+   * @param {string} [source] What set the color: keyboard or editor (default).
+   */
+  function setColorAtPosition(saturation, value, source) {
+    const hsva = {
+      h: hueSlider.value * 1,
+      s: saturation,
+      v: value,
+      a: alphaSlider.value / 100
+    };
+    const rgba = HSVAtoRGBA(hsva);
+
+    preciseColor = null;
+    updateMarkerA11yLabel(hsva.s, hsva.v);
+    updateColor(rgba, hsva);
+    pickEditorColor(source);
+  }
+
+  /**
+   * Apply a color set with the gradient, the hue or the alpha slider.
+   * In theme editor mode, it becomes the new value of the selected variable.
+   * @param {string} [source] What set the color: keyboard or editor (default).
+   */
+  function pickEditorColor(source) {
+    if (settings.editVariables) {
+      // The editor only changes variables, it never writes a color in the field
+      if (currentChain.length > 1) {
+        // The last variable of the chain is the one that holds the color
+        editVariable(currentChain[currentChain.length - 2], colorValue.value);
+        currentChain[currentChain.length - 1] = colorValue.value;
+      }
+    } else {
+      // Colors picked from the gradient are not variables
+      currentChain = [];
+      pickColor(source);
+    }
+  }
+
+  /**
+   * Update the color marker's accessibility label.
+   * @param {number} saturation
+   * @param {number} value
+   */
+  function updateMarkerA11yLabel(saturation, value) {
+    let label = settings.a11y.marker;
+
+    saturation = saturation.toFixed(1) * 1;
+    value = value.toFixed(1) * 1;
+    label = label.replace('{s}', saturation);
+    label = label.replace('{v}', value);
+    colorMarker.setAttribute('aria-label', label);
+  }
+
+  /**
+   * Get the pointer's coordinates relative to the viewport.
+   * @param {object} event MouseEvent or TouchEvent object.
+   * @return {object} The pointer's coordinates.
+   */
+  function getPointerPosition(event) {
+    return {
+      clientX: event.changedTouches ? event.changedTouches[0].clientX : event.clientX,
+      clientY: event.changedTouches ? event.changedTouches[0].clientY : event.clientY
+    };
+  }
+
+  /**
+   * Move the color marker when dragged.
+   * @param {object} event MouseEvent or TouchEvent object.
+   */
+  function moveMarker(event) {
+    const pointer = getPointerPosition(event);
+    const area = colorArea.getBoundingClientRect();
+
+    setMarkerPosition((pointer.clientX - area.left) / area.width * 100, 100 - (pointer.clientY - area.top) / area.height * 100);
+
+    // Prevent scrolling while dragging the marker
+    event.preventDefault();
+    event.stopPropagation();
   }
 
+  /**
+   * Move the color marker when the arrow keys are pressed.
+   * @param {number} offsetX The horizontal amount to move.
+   * @param {number} offsetY The vertical amount to move.
+   */
+  function moveMarkerOnKeydown(offsetX, offsetY) {
+    setMarkerPosition(currentColor.s + offsetX, currentColor.v - offsetY, 'keyboard');
+  }
+
+  /**
+   * Set the color marker's position.
+   * @param {number} saturation Saturation in percent.
+   * @param {number} value Value in percent.
+   * @param {string} [source] What moved the marker: keyboard or editor (default).
+   */
+  function setMarkerPosition(saturation, value, source) {
+    // Make sure the marker doesn't go out of bounds
+    saturation = Math.min(Math.max(saturation, 0), 100);
+    value = Math.min(Math.max(value, 0), 100);
+
+    // Set the position
+    colorMarker.style.left = `${saturation}%`;
+    colorMarker.style.top = `${100 - value}%`;
+
+    // Update the color
+    setColorAtPosition(saturation, value, source);
+
+    // Make sure the marker is focused
+    colorMarker.focus({ preventScroll: true });
+  }
 
   /**
    * Update the color picker's input field and preview thumb.
@@ -490,6 +4086,8 @@
       format = currentFormat;
     }
 
+    colorValue.removeAttribute('aria-invalid');
+
     switch (format) {
       case 'hex':
         colorValue.value = hex;
@@ -500,117 +4098,162 @@
       case 'hsl':
         colorValue.value = HSLAToStr(HSVAtoHSLA(currentColor));
         break;
+      default:
+        colorValue.value = formatColor(currentColor, format, preciseColor);
     }
 
+    // Update the editor widgets
+    colorPreview.style.color = `rgba(${currentColor.r}, ${currentColor.g}, ${currentColor.b}, ${currentColor.a})`;
+    colorMarker.style.color = `rgb(${currentColor.r}, ${currentColor.g}, ${currentColor.b})`;
+    alphaSlider.parentNode.style.color = opaqueHex;
+    alphaMarker.style.color = `rgba(${currentColor.r}, ${currentColor.g}, ${currentColor.b}, ${currentColor.a})`;
+
+    // Select the current format in the format switcher
+    const formatInput = picker.querySelector(`.color-var-picker-format [value="${format}"]`);
+
+    if (formatInput) {
+      formatInput.checked = true;
+    }
   }
 
+  /**
+   * Set the hue when its slider is moved.
+   */
+  function setHue() {
+    const hue = hueSlider.value * 1;
+
+    picker.style.color = `hsl(${hue}, 100%, 50%)`;
+    hueMarker.style.left = `${hue / 360 * 100}%`;
+
+    setColorAtPosition(currentColor.s, currentColor.v);
+  }
 
   /**
-   * Convert HSVA to RGBA.
-   * @param {object} hsva Hue, saturation, value and alpha values.
-   * @return {object} Red, green, blue and alpha values.
+   * Set the alpha when its slider is moved.
+   */
+  function setAlpha() {
+    const alpha = alphaSlider.value / 100;
+
+    alphaMarker.style.left = `${alpha * 100}%`;
+    preciseColor = null;
+    updateColor({ a: alpha });
+    pickEditorColor();
+  }
+
+  /**
+   * Check if string is CSS variable.
+   * @param {string} str String in the format var(--variable-name) or var(--variable-name, fallback).
+   * @return {object} Whether it is a CSS variable, the variable name and the fallback, if any.
    */
-  function HSVAtoRGBA(hsva) {
-    const saturation = hsva.s / 100;
-    const value = hsva.v / 100;
-    let chroma = saturation * value;
-    let hueBy60 = hsva.h / 60;
-    let x = chroma * (1 - Math.abs(hueBy60 % 2 - 1));
-    let m = value - chroma;
+  function checkIfCSSVar(str) {
+    const value = typeof str === 'string' ? str.trim() : '';
+    const match = /^var\(\s*(--[^\s,()]+)\s*/i.exec(value);
+
+    if (match && value.slice(-1) === ')') {
+      const rest = value.slice(match[0].length, -1);
+      let depth = 0;
+
+      // The fallback may contain nested functions, but the parentheses must be balanced
+      for (let i = 0; i < rest.length && depth >= 0; i++) {
+        if (rest[i] === '(') {
+          depth++;
+        } else if (rest[i] === ')') {
+          depth--;
+        }
+      }
 
-    chroma = (chroma + m);
-    x = (x + m);
+      if (depth === 0 && (rest === '' || rest[0] === ',')) {
+        return { isCSSVar: true, cssVar: match[1], fallback: rest ? rest.substring(1).trim() : undefined };
+      }
+    }
 
-    const index = Math.floor(hueBy60) % 6;
-    const red = [chroma, x, m, m, x, chroma][index];
-    const green = [x, chroma, chroma, x, m, m][index];
-    const blue = [m, m, x, chroma, chroma, x][index];
+    return { isCSSVar: false, cssVar: undefined, fallback: undefined };
+  }
 
-    return {
-      r: Math.round(red * 255),
-      g: Math.round(green * 255),
-      b: Math.round(blue * 255),
-      a: hsva.a
-    };
+  /**
+   * Get string from CSS variable.
+   * @param {string} cssVar String in the format var(--variable-name).
+   * @param {object} [field] The field in whose scope the variable is resolved, defaults to the active one.
+   * @return {string} String representing a color.
+   */
+  function getCSSVar(cssVar, field = currentEl) {
+    if (window.getComputedStyle) {
+      return resolveCSSVar(`var(${cssVar})`, field).value || cssVar;
+    } else {
+      return null;
+    }
   }
 
   /**
-   * Convert HSVA to HSLA.
-   * @param {object} hsva Hue, saturation, value and alpha values.
-   * @return {object} Hue, saturation, lightness and alpha values.
+   * Resolve a var() expression, following the fallbacks and the variables that reference other variables.
+   * @param {string} str String representing a color or a CSS variable.
+   * @param {object} [field] The field in whose scope the variable is resolved, defaults to the active one.
+   * @param {array} [chain] The variables already visited, used to detect cycles.
+   * @return {object} The resolved value (null if it can't be resolved) and the chain of variable names.
    */
-  function HSVAtoHSLA(hsva) {
-    const value = hsva.v / 100;
-    const lightness = value * (1 - (hsva.s / 100) / 2);
-    let saturation;
+  function resolveCSSVar(str, field = currentEl, chain = []) {
+    const { isCSSVar, cssVar, fallback } = checkIfCSSVar(str);
 
-    if (lightness > 0 && lightness < 1) {
-      saturation = Math.round((value - lightness) / Math.min(lightness, 1 - lightness) * 100);
+    if (!isCSSVar) {
+      return { value: str || null, chain };
     }
 
-    return {
-      h: hsva.h,
-      s: saturation || 0,
-      l: Math.round(lightness * 100),
-      a: hsva.a
-    };
-  }
+    // Variables that reference each other are invalid, just like in CSS
+    if (chain.indexOf(cssVar) !== -1) {
+      return fallback ? resolveCSSVar(fallback, field, chain) : { value: null, chain };
+    }
 
-  /**
-   * Convert RGBA to HSVA.
-   * @param {object} rgba Red, green, blue and alpha values.
-   * @return {object} Hue, saturation, value and alpha values.
-   */
-  function RGBAtoHSVA(rgba) {
-    const red   = rgba.r / 255;
-    const green = rgba.g / 255;
-    const blue  = rgba.b / 255;
-    const xmax = Math.max(red, green, blue);
-    const xmin = Math.min(red, green, blue);
-    const chroma = xmax - xmin;
-    const value = xmax;
-    let hue = 0;
-    let saturation = 0;
+    const scope = getScope(field);
+    const computed = window.getComputedStyle(scope).getPropertyValue(cssVar).trim();
+    const declared = getDeclaredValue(cssVar, scope);
+
+    chain = chain.concat(cssVar);
+
+    if (computed && !checkIfCSSVar(computed).isCSSVar) {
+      // Browsers substitute nested variables in the computed value, the declarations tell the aliases
+      if (checkIfCSSVar(declared).isCSSVar) {
+        chain = resolveCSSVar(declared, field, chain).chain;
+      }
 
-    if (chroma) {
-      if (xmax === red ) { hue = ((green - blue) / chroma); }
-      if (xmax === green ) { hue = 2 + (blue - red) / chroma; }
-      if (xmax === blue ) { hue = 4 + (red - green) / chroma; }
-      if (xmax) { saturation = chroma / xmax; }
+      return { value: computed, chain };
     }
 
-    hue = Math.floor(hue * 60);
+    if (computed) {
+      return resolveCSSVar(computed, field, chain);
+    }
 
-    return {
-      h: hue < 0 ? hue + 360 : hue,
-      s: Math.round(saturation * 100),
-      v: Math.round(value * 100),
-      a: rgba.a
-    };
+    return fallback ? resolveCSSVar(fallback, field, chain) : { value: null, chain };
   }
 
   /**
-   * Check if string is CSS variable.
-   * @param {string} str String in the format var(--variable-name).
-   * @return {boolean} is CSS variable true or false.
+   * Get the element against which the CSS variables of a field are resolved.
+   * @param {object} [field] The bound input field, if any.
+   * @return {object} The scope element.
    */
-  function checkIfCSSVar(str) {
-    const regex = /^var\((--.+)\)$/i;
-    const match = regex.exec(str);
-    return { isCSSVar: match?.length > 0, cssVar: match?.[1]};
+  function getScope(field) {
+    const instanceScope = field ? getInstanceOption(field, 'scope') : undefined;
+    const scope = instanceScope !== undefined ? instanceScope : settings.scope;
+
+    if (scope instanceof Element) {
+      return scope;
+    }
+
+    // A selector is first looked up among the ancestors of the field
+    if (typeof scope === 'string' && scope !== 'field') {
+      return (field && field.closest(scope)) || document.querySelector(scope) || document.documentElement;
+    }
+
+    return field || document.documentElement;
   }
 
   /**
-   * Get string from CSS variable.
-   * @param {string} cssVar String in the format var(--variable-name).
+   * Resolve a color string that may be a CSS variable.
+   * @param {string} str String representing a color or a CSS variable.
+   * @param {object} [field] The field in whose scope the variable is resolved, defaults to the active one.
    * @return {string} String representing a color.
    */
-  function getCSSVar(cssVar) {
-    if (window.getComputedStyle) {
-      return window.getComputedStyle(document.documentElement).getPropertyValue(cssVar)?.trim() || cssVar;
-    } else {
-      return null;
-    }
+  function resolveColor(str, field = currentEl) {
+    return resolveCSSVar(str, field).value || str;
   }
 
   /**
@@ -628,99 +4271,68 @@
    * @return {object} Red, green, blue and alpha values.
    */
   function strToRGBA(str) {
-    const regex = /^((rgba)|rgb)[\D]+([\d.]+)[\D]+([\d.]+)[\D]+([\d.]+)[\D]*?([\d.]+|$)/i;
-    let match, rgba;
-
-    // Default to black for invalid color strings
-    ctx.fillStyle = '#000';
-
-    // Use canvas to convert the string to a valid color string
-    ctx.fillStyle = str;
-    match = regex.exec(ctx.fillStyle);
+    const rgba = ColorVarPickerColor.parse(str);
 
-    if (match) {
-      rgba = {
-        r: match[3] * 1,
-        g: match[4] * 1,
-        b: match[5] * 1,
-        a: match[6] * 1
-      };
-
-      // Workaround to mitigate a Chromium bug where the alpha value is rounded incorrectly
-      rgba.a = +rgba.a.toFixed(2);
+    if (rgba) {
+      return rgba;
+    }
 
-    } else {
-      match = ctx.fillStyle.replace('#', '').match(/.{2}/g).map(h => parseInt(h, 16));
-      rgba = {
-        r: match[0],
-        g: match[1],
-        b: match[2],
-        a: 1
-      };
+    // Fall back to the canvas for the other colors the browser supports, e.g. the system colors
+    if (!canvasContext) {
+      canvasContext = document.createElement('canvas').getContext('2d');
     }
 
-    return rgba;
+    // Default to black for invalid color strings
+    canvasContext.fillStyle = '#000';
+    canvasContext.fillStyle = str;
+
+    return ColorVarPickerColor.parse(canvasContext.fillStyle) || { r: 0, g: 0, b: 0, a: 1 };
   }
 
   /**
-   * Convert RGBA to Hex.
+   * Convert RGBA to Hex, with the alpha settings of the picker.
    * @param {object} rgba Red, green, blue and alpha values.
    * @return {string} Hex color string.
    */
   function RGBAToHex(rgba) {
-    let R = rgba.r.toString(16);
-    let G = rgba.g.toString(16);
-    let B = rgba.b.toString(16);
-    let A = '';
-
-    if (rgba.r < 16) {
-      R = '0' + R;
-    }
-
-    if (rgba.g < 16) {
-      G = '0' + G;
-    }
-
-    if (rgba.b < 16) {
-      B = '0' + B;
-    }
-
-    if (settings.alpha && (rgba.a < 1 || settings.forceAlpha)) {
-      const alpha = rgba.a * 255 | 0;
-      A = alpha.toString(16);
-
-      if (alpha < 16) {
-        A = '0' + A;
-      }
-    }
-
-    return '#' + R + G + B + A;
+    return ColorVarPickerColor.RGBAToHex(rgba, getFormatOptions());
   }
 
   /**
-   * Convert RGBA values to a CSS rgb/rgba string.
+   * Convert RGBA values to a CSS rgb/rgba string, with the alpha settings of the picker.
    * @param {object} rgba Red, green, blue and alpha values.
    * @return {string} CSS color string.
    */
   function RGBAToStr(rgba) {
-    if (!settings.alpha || (rgba.a === 1 && !settings.forceAlpha)) {
-      return `rgb(${rgba.r}, ${rgba.g}, ${rgba.b})`;
-    } else {
-      return `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${rgba.a})`;
-    }
+    return ColorVarPickerColor.RGBAToStr(rgba, getFormatOptions());
   }
 
   /**
-   * Convert HSLA values to a CSS hsl/hsla string.
+   * Convert HSLA values to a CSS hsl/hsla string, with the alpha settings of the picker.
    * @param {object} hsla Hue, saturation, lightness and alpha values.
    * @return {string} CSS color string.
    */
   function HSLAToStr(hsla) {
-    if (!settings.alpha || (hsla.a === 1 && !settings.forceAlpha)) {
-      return `hsl(${hsla.h}, ${hsla.s}%, ${hsla.l}%)`;
-    } else {
-      return `hsla(${hsla.h}, ${hsla.s}%, ${hsla.l}%, ${hsla.a})`;
-    }
+    return ColorVarPickerColor.HSLAToStr(hsla, getFormatOptions());
+  }
+
+  /**
+   * Convert RGBA values to a color string in the given format, with the alpha settings of the picker.
+   * @param {object} rgba Red, green, blue and alpha values.
+   * @param {string} format The color format.
+   * @param {object} [precise] The same color with unrounded sRGB channels from 0 to 1, possibly out of gamut.
+   * @return {string} CSS color string.
+   */
+  function formatColor(rgba, format, precise) {
+    return ColorVarPickerColor.formatColor(rgba, format, getFormatOptions(), precise);
+  }
+
+  /**
+   * Get the output options of the color functions from the settings.
+   * @return {object} The alpha and forceAlpha options.
+   */
+  function getFormatOptions() {
+    return { alpha: settings.alpha, forceAlpha: settings.forceAlpha };
   }
 
   /**
@@ -730,22 +4342,86 @@
     // Render the UI
     container = null;
     picker = document.createElement('div');
-    picker.setAttribute('id', 'color-var-picker-picker');
+    picker.setAttribute('id', `color-var-picker-picker${idSuffix}`);
     picker.setAttribute('data-pure-variables', settings.forceVariables);
+    picker.setAttribute('data-minimal', settings.swatchesOnly);
     picker.className = 'color-var-picker-picker';
-    picker.innerHTML = 
-    `<div id="color-var-picker-color-value" class="color-var-picker-color" type="text" value="" spellcheck="false" aria-label="color-variable-picker"></div>`+
-    '<div id="color-var-picker-swatches-panels" class="color-var-picker-swatches-panels"></div>';
+    picker.setAttribute('data-search', settings.search);
+    picker.setAttribute('data-favorites', settings.favorites);
+    picker.setAttribute('data-contrast-mode', settings.contrastMode);
+    picker.setAttribute('data-edit-variables', settings.editVariables);
+    picker.setAttribute('data-strategy', settings.strategy);
+    picker.innerHTML =
+    `<input id="color-var-picker-search${idSuffix}" class="color-var-picker-search" type="search" placeholder="${settings.a11y.search}" spellcheck="false" autocomplete="off" aria-label="${settings.a11y.search}">`+
+    `<div id="color-var-picker-color-area${idSuffix}" class="color-var-picker-gradient" role="application" aria-label="${settings.a11y.instruction}">`+
+      `<div id="color-var-picker-color-marker${idSuffix}" class="color-var-picker-marker" tabindex="0"></div>`+
+    '</div>'+
+    '<div class="color-var-picker-hue">'+
+      `<input id="color-var-picker-hue-slider${idSuffix}" type="range" min="0" max="360" step="1" aria-label="${settings.a11y.hueSlider}">`+
+      `<div id="color-var-picker-hue-marker${idSuffix}"></div>`+
+    '</div>'+
+    '<div class="color-var-picker-alpha">'+
+      `<input id="color-var-picker-alpha-slider${idSuffix}" type="range" min="0" max="100" step="1" aria-label="${settings.a11y.alphaSlider}">`+
+      `<div id="color-var-picker-alpha-marker${idSuffix}"></div>`+
+      '<span></span>'+
+    '</div>'+
+    `<div id="color-var-picker-color-preview${idSuffix}" class="color-var-picker-preview">`+
+      `<button type="button" aria-label="${settings.a11y.close}"></button>`+
+    '</div>'+
+    `<button id="color-var-picker-favorite${idSuffix}" class="color-var-picker-favorite" type="button" aria-pressed="false" aria-label="${settings.a11y.favorite}"></button>`+
+    `<input id="color-var-picker-color-value${idSuffix}" class="color-var-picker-color" type="text" value="" spellcheck="false" autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="color-var-picker-suggestions${idSuffix}" aria-label="${settings.a11y.input}">`+
+    `<div id="color-var-picker-suggestions${idSuffix}" class="color-var-picker-suggestions" role="listbox" aria-label="${settings.a11y.suggestions}"></div>`+
+    `<button id="color-var-picker-snap${idSuffix}" class="color-var-picker-snap" type="button" hidden></button>`+
+    `<div id="color-var-picker-format${idSuffix}" class="color-var-picker-format">`+
+      '<fieldset class="color-var-picker-segmented">'+
+        `<legend id="color-var-picker-format-label${idSuffix}">${settings.a11y.format}</legend>`+
+        `<input id="color-var-picker-f1${idSuffix}" type="radio" name="color-var-picker-format${idSuffix}" value="hex">`+
+        `<label for="color-var-picker-f1${idSuffix}">Hex</label>`+
+        `<input id="color-var-picker-f2${idSuffix}" type="radio" name="color-var-picker-format${idSuffix}" value="rgb">`+
+        `<label for="color-var-picker-f2${idSuffix}">RGB</label>`+
+        `<input id="color-var-picker-f3${idSuffix}" type="radio" name="color-var-picker-format${idSuffix}" value="hsl">`+
+        `<label for="color-var-picker-f3${idSuffix}">HSL</label>`+
+        `<input id="color-var-picker-f4${idSuffix}" type="radio" name="color-var-picker-format${idSuffix}" value="hwb">`+
+        `<label for="color-var-picker-f4${idSuffix}">HWB</label>`+
+        `<input id="color-var-picker-f5${idSuffix}" type="radio" name="color-var-picker-format${idSuffix}" value="lab">`+
+        `<label for="color-var-picker-f5${idSuffix}">Lab</label>`+
+        `<input id="color-var-picker-f6${idSuffix}" type="radio" name="color-var-picker-format${idSuffix}" value="lch">`+
+        `<label for="color-var-picker-f6${idSuffix}">LCh</label>`+
+        `<input id="color-var-picker-f7${idSuffix}" type="radio" name="color-var-picker-format${idSuffix}" value="oklab">`+
+        `<label for="color-var-picker-f7${idSuffix}">OKLab</label>`+
+        `<input id="color-var-picker-f8${idSuffix}" type="radio" name="color-var-picker-format${idSuffix}" value="oklch">`+
+        `<label for="color-var-picker-f8${idSuffix}">OKLCh</label>`+
+        `<input id="color-var-picker-f9${idSuffix}" type="radio" name="color-var-picker-format${idSuffix}" value="display-p3">`+
+        `<label for="color-var-picker-f9${idSuffix}">P3</label>`+
+      '</fieldset>'+
+    '</div>'+
+    `<div id="color-var-picker-swatches-panels${idSuffix}" class="color-var-picker-swatches-panels"></div>`+
+    `<span id="color-var-picker-open-label${idSuffix}" hidden>${settings.a11y.open}</span>`+
+    `<span id="color-var-picker-swatch-label${idSuffix}" hidden>${settings.a11y.swatch}</span>`+
+    `<div id="color-var-picker-live${idSuffix}" class="color-var-picker-sr-only" aria-live="polite"></div>`;
 
     // Append the color picker to the DOM
     document.body.appendChild(picker);
 
     // Reference the UI elements
+    colorArea = getEl('color-var-picker-color-area');
+    colorMarker = getEl('color-var-picker-color-marker');
+    colorPreview = getEl('color-var-picker-color-preview');
     colorValue = getEl('color-var-picker-color-value');
+    hueSlider = getEl('color-var-picker-hue-slider');
+    hueMarker = getEl('color-var-picker-hue-marker');
+    alphaSlider = getEl('color-var-picker-alpha-slider');
+    alphaMarker = getEl('color-var-picker-alpha-marker');
+    searchField = getEl('color-var-picker-search');
 
     // Bind the picker to the default selector
-    bindFields(settings.el);
-    wrapFields(settings.el);
+    if (settings.el) {
+      bindFields(settings.el);
+
+      if (settings.wrap) {
+        wrapFields(settings.el);
+      }
+    }
 
     addListener(picker, 'mousedown', event => {
       picker.classList.remove('color-var-picker-keyboard-nav');
@@ -754,37 +4430,173 @@
 
     addListener(colorValue, 'change', event => {
       if (currentEl || settings.inline) {
-        setColorFromStr(colorValue.value);
-        pickColor();
+        commitTypedValue();
+      }
+    });
+
+    addListener(colorValue, 'input', event => {
+      colorValue.removeAttribute('aria-invalid');
+      renderSuggestions(colorValue.value);
+    });
+
+    addListener(colorValue, 'keydown', navigateSuggestions);
+
+    addListener(colorValue, 'blur', event => {
+      renderSuggestions('');
+    });
+
+    // Keep the focus in the text field when a suggestion is clicked
+    addListener(getEl('color-var-picker-suggestions'), 'mousedown', event => {
+      event.preventDefault();
+    });
+
+    addListener(getEl('color-var-picker-suggestions'), 'click', event => {
+      const option = event.target.closest('.color-var-picker-suggestion');
+
+      if (option) {
+        applySuggestion(option);
+      }
+    });
+
+    addListener(searchField, 'input', event => {
+      filterSwatches(searchField.value);
+    });
+
+    addListener(searchField, 'keydown', event => {
+      const firstMatch = picker.querySelector('.color-var-picker-first-match');
+
+      // Pick the best result
+      if (event.key === 'Enter' && firstMatch) {
+        firstMatch.click();
+        event.preventDefault();
+
+      // Or move to the results
+      } else if (event.key === 'ArrowDown') {
+        focusSwatch(firstMatch || getSwatchOptions()[0]);
+        event.preventDefault();
+      }
+    });
+
+    addListener(picker, 'keydown', '.color-var-picker-swatches-panels button', navigateSwatches);
+
+    addListener(colorArea, 'mousedown', event => {
+      document.addEventListener('mousemove', moveMarker);
+    });
+
+    addListener(colorArea, 'touchstart', event => {
+      document.addEventListener('touchmove', moveMarker, { passive: false });
+    });
+
+    addListener(colorMarker, 'mousedown', event => {
+      document.addEventListener('mousemove', moveMarker);
+    });
+
+    addListener(colorMarker, 'touchstart', event => {
+      document.addEventListener('touchmove', moveMarker, { passive: false });
+    });
+
+    addListener(colorArea, 'click', moveMarker);
+    addListener(hueSlider, 'input', setHue);
+    addListener(alphaSlider, 'input', setAlpha);
+
+    addListener(document, 'mouseup', event => {
+      document.removeEventListener('mousemove', moveMarker);
+      pendingEdit = null;
+      endPendingPick();
+    });
+
+    // Each key press in the editor is a separate pick
+    addListener(document, 'keyup', endPendingPick);
+
+    addListener(document, 'touchend', event => {
+      document.removeEventListener('touchmove', moveMarker);
+      pendingEdit = null;
+      endPendingPick();
+    });
+
+    addListener(colorMarker, 'keydown', event => {
+      const movements = {
+        ArrowUp: [0, -1],
+        ArrowDown: [0, 1],
+        ArrowLeft: [-1, 0],
+        ArrowRight: [1, 0]
+      };
+
+      if (Object.keys(movements).includes(event.key)) {
+        moveMarkerOnKeydown(...movements[event.key]);
+        event.preventDefault();
       }
     });
 
-    addListener(document, 'click', '.color-var-picker-format input', event => {
+    addListener(colorPreview, 'click', '.color-var-picker-preview button', event => {
+      closePicker();
+    });
+
+    addListener(picker, 'click', '.color-var-picker-format input', event => {
       currentFormat = event.target.value;
       updateColor();
-      pickColor();
+      pickColor('format');
     });
 
     addListener(picker, 'click', '.color-var-picker-swatches-panels button', event => {
-      setColorFromStr(event.target.textContent);
-      pickColor();
+      const panel = event.target.closest('.color-var-picker-swatch-panel').querySelector('.color-var-picker-swatch-panel-title');
+
+      setColorFromStr(event.target.getAttribute('data-value'));
 
-      if (settings.swatchesOnly) {
+      // Clicks triggered with the Enter or the Space key have no click count
+      pickColor(event.detail === 0 ? 'keyboard' : 'swatch', panel.getAttribute('data-name'), swatchData[event.target.id]);
+      updateSwatchSelection();
+      announce(settings.a11y.picked.replace('{name}', event.target.getAttribute('aria-label')));
+
+      // The selected variable is edited with the editor in theme editor mode
+      if (settings.swatchesOnly && !settings.editVariables) {
         closePicker();
       }
     });
 
+    addListener(getEl('color-var-picker-snap'), 'click', event => {
+      const value = event.target.getAttribute('data-value');
+
+      if (value) {
+        setColorFromStr(value);
+        pickColor('snap');
+        updateSwatchSelection();
+      }
+    });
+
+    addListener(getEl('color-var-picker-favorite'), 'click', event => {
+      toggleFavorite(getCurrentValue());
+    });
+
+    // Swatches are added to or removed from the favorites with a right click
+    addListener(picker, 'contextmenu', '.color-var-picker-swatches-panels button', event => {
+      if (settings.favorites) {
+        toggleFavorite(event.target.getAttribute('data-value'));
+        event.preventDefault();
+      }
+    });
+
     addListener(document, 'mousedown', event => {
       picker.classList.remove('color-var-picker-keyboard-nav');
       closePicker();
     });
 
     addListener(document, 'keydown', event => {
-      const navKeys = ['Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+      const navKeys = ['Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'];
 
       if (event.key === 'Escape') {
         closePicker(true);
 
+      // Undo with Ctrl/Cmd+Z, redo with Shift+Ctrl/Cmd+Z or Ctrl+Y, except in the text fields (the bound one included) which have their own history
+      } else if (currentEl && (event.ctrlKey || event.metaKey) && /^[zy]$/i.test(event.key) && event.target !== currentEl && !isTextField(event.target)) {
+        if (event.shiftKey || event.key.toLowerCase() === 'y') {
+          redoPick();
+        } else {
+          undoPick();
+        }
+
+        event.preventDefault();
+
       // Display focus rings when using the keyboard
       } else if (navKeys.includes(event.key)) {
         picker.classList.add('color-var-picker-keyboard-nav');
@@ -792,6 +4604,11 @@
     });
 
     addListener(document, 'click', '.color-var-picker-field button', event => {
+      // Leave the fields of the other color pickers alone
+      if (!isBoundField(event.target.nextElementSibling)) {
+        return;
+      }
+
       // Reset any previously set per-instance options
       if (hasInstance) {
         resetVirtualInstance();
@@ -804,12 +4621,21 @@
   }
 
   /**
-   * Shortcut for getElementById to optimize the minified JS.
-   * @param {string} id The element id.
+   * Escape a string to be inserted in HTML markup.
+   * @param {string} str The string to escape.
+   * @return {string} The escaped string.
+   */
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
+  /**
+   * Get one of the color picker's elements by id, also when the color picker is in a shadow root.
+   * @param {string} id The element id, without the suffix of this color picker.
    * @return {object} The DOM element with the provided id.
    */
   function getEl(id) {
-    return document.getElementById(id);
+    return picker.querySelector(`#${id}${idSuffix}`);
   }
 
   /**
@@ -824,20 +4650,285 @@
 
     // Delegate event to the target of the selector
     if (typeof selector === 'string') {
-      context.addEventListener(type, event => {
+      const handler = event => {
         if (matches.call(event.target, selector)) {
           fn.call(event.target, event);
         }
-      });
+      };
+
+      context.addEventListener(type, handler);
+      listeners.push({ context, type, selector, handler });
 
     // If the selector is not a string then it's a function
     // in which case we need regular event listener
     } else {
       fn = selector;
       context.addEventListener(type, fn);
+      listeners.push({ context, type, handler: fn });
+    }
+  }
+
+  /**
+   * Remove the event listeners that were added with addListener().
+   * @param {function} filter Receives a listener record and returns true if it must be removed.
+   */
+  function removeListeners(filter) {
+    for (let i = listeners.length - 1; i >= 0; i--) {
+      if (filter(listeners[i])) {
+        listeners[i].context.removeEventListener(listeners[i].type, listeners[i].handler);
+        listeners.splice(i, 1);
+      }
     }
   }
 
+  /**
+   * Collect the color picker's rules from the document's stylesheets, so that they can be copied to a shadow root.
+   * @return {string} The CSS rules.
+   */
+  function getPickerStyles() {
+    const rules = [];
+
+    getStyleSheetRules().forEach(sheetRules => {
+      for (let i = 0; i < sheetRules.length; i++) {
+        if (sheetRules[i].cssText.indexOf('color-var-picker') !== -1) {
+          rules.push(sheetRules[i].cssText);
+        }
+      }
+    });
+
+    return rules.join('\n');
+  }
+
+  /**
+   * Create the class of the <color-var-picker> custom element.
+   * It renders an inline color picker in its shadow root and takes part in forms like an input field.
+   * @return {function} The custom element class.
+   */
+  function createPickerElement() {
+    const connectedElements = [];
+
+    // The stylesheets loaded after an element was connected are copied to its shadow root too
+    document.addEventListener('load', event => {
+      if (event.target.localName === 'link') {
+        connectedElements.forEach(element => element._updateStyles());
+      }
+    }, true);
+
+    return class ColorVarPickerElement extends HTMLElement {
+      static get formAssociated() {
+        return true;
+      }
+
+      static get observedAttributes() {
+        return ['swatches', 'value', 'scope', 'required'];
+      }
+
+      constructor() {
+        super();
+
+        this._internals = this.attachInternals ? this.attachInternals() : null;
+        this._picker = null;
+        this._value = '';
+        this._committedValue = '';
+        this._swatches = undefined;
+        this._scope = undefined;
+        this._style = document.createElement('style');
+        this._container = document.createElement('div');
+
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.appendChild(this._style);
+        this.shadowRoot.appendChild(this._container);
+
+        // A "change" event is triggered at the end of each interaction that changed the value
+        ['click', 'mouseup', 'touchend', 'keyup'].forEach(type => {
+          this.shadowRoot.addEventListener(type, () => {
+            if (this._value !== this._committedValue) {
+              this._committedValue = this._value;
+              this.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+          });
+        });
+      }
+
+      connectedCallback() {
+        const options = { inline: true, scope: this._getScope() };
+
+        if (this._value) {
+          options.defaultColor = this._value;
+        }
+
+        if (this._swatches) {
+          options.swatches = this._swatches;
+        }
+
+        connectedElements.push(this);
+        this._updateStyles();
+
+        this._picker = createPicker(window, document, Math, this._container, options);
+        this._picker.on('pick', ({ color }) => {
+          this._value = color;
+          this._updateFormValue();
+          this.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        });
+      }
+
+      disconnectedCallback() {
+        connectedElements.splice(connectedElements.indexOf(this), 1);
+        this._picker.destroy();
+        this._picker = null;
+      }
+
+      attributeChangedCallback(name, oldValue, newValue) {
+        switch (name) {
+          case 'swatches': {
+            let swatches;
+
+            // An invalid attribute is ignored
+            try {
+              swatches = newValue ? JSON.parse(newValue) : undefined;
+            } catch (error) {
+              break;
+            }
+
+            if (swatches === undefined || Array.isArray(swatches)) {
+              this.swatches = swatches;
+            }
+            break;
+          }
+          case 'value':
+            this.value = newValue;
+            break;
+          case 'scope':
+            this.scope = newValue || undefined;
+            break;
+          case 'required':
+            this._updateFormValue();
+            break;
+        }
+      }
+
+      formResetCallback() {
+        this.value = this.getAttribute('value');
+      }
+
+      formStateRestoreCallback(state) {
+        this.value = state;
+      }
+
+      formDisabledCallback(disabled) {
+        this._container.inert = disabled;
+      }
+
+      get value() {
+        return this._value;
+      }
+
+      set value(color) {
+        this._value = color ? String(color) : '';
+        this._committedValue = this._value;
+        this._updateFormValue();
+
+        // An empty value resets the picker to its default color
+        if (this._picker) {
+          this._picker.setValue(this._value);
+        }
+      }
+
+      get swatches() {
+        return this._swatches;
+      }
+
+      set swatches(swatches) {
+        this._swatches = swatches;
+
+        if (this._picker) {
+          this._picker.update({ swatches: swatches || [] });
+        }
+      }
+
+      get scope() {
+        return this._scope;
+      }
+
+      set scope(scope) {
+        this._scope = scope;
+
+        // The swatches are rendered again against the new scope
+        if (this._picker) {
+          this._picker.update({ scope: this._getScope(), swatches: this._swatches || [] });
+        }
+      }
+
+      get form() {
+        return this._internals ? this._internals.form : null;
+      }
+
+      get name() {
+        return this.getAttribute('name');
+      }
+
+      get type() {
+        return this.localName;
+      }
+
+      get validity() {
+        return this._internals ? this._internals.validity : undefined;
+      }
+
+      get validationMessage() {
+        return this._internals ? this._internals.validationMessage : '';
+      }
+
+      get willValidate() {
+        return this._internals ? this._internals.willValidate : false;
+      }
+
+      checkValidity() {
+        return this._internals ? this._internals.checkValidity() : true;
+      }
+
+      reportValidity() {
+        return this._internals ? this._internals.reportValidity() : true;
+      }
+
+      /**
+       * Get the element against which the variables are resolved, the custom element itself by default.
+       * @return {object} The scope element.
+       */
+      _getScope() {
+        if (typeof this._scope === 'string') {
+          return this.closest(this._scope) || document.querySelector(this._scope) || this;
+        }
+
+        return this._scope || this;
+      }
+
+      /**
+       * Copy the color picker's styles to the shadow root, the document's styles don't apply to it.
+       */
+      _updateStyles() {
+        this._style.textContent = `:host { display: inline-block; }\n${getPickerStyles()}`;
+      }
+
+      /**
+       * Update the value submitted with the form and the validity of the custom element.
+       */
+      _updateFormValue() {
+        if (!this._internals) {
+          return;
+        }
+
+        this._internals.setFormValue(this._value);
+
+        if (this.hasAttribute('required') && !this._value) {
+          this._internals.setValidity({ valueMissing: true }, 'Please select a color.', this._container);
+        } else {
+          this._internals.setValidity({});
+        }
+      }
+    };
+  }
+
   /**
    * Call a function only when the DOM is ready.
    * @param {function} fn The function to call.
@@ -860,39 +4951,142 @@
       NodeList.prototype.forEach = Array.prototype.forEach;
   }
 
-  // Expose the color picker to the global scope
-  window.ColorVarPicker = (() => {
-    const methods = {
-      set: configure,
-      wrap: wrapFields,
-      close: closePicker,
-      setInstance: setVirtualInstance,
-      removeInstance: removeVirtualInstance,
-      updatePosition: updatePickerPosition
-    };
-
-    function ColorVarPicker(options) {
-      DOMReady(() => {
-        if (options) {
-          if (typeof options === 'string') {
-            bindFields(options);
-          } else {
-            configure(options);
-          }
+  if (target === undefined) {
+    // Expose the color picker to the global scope
+    window.ColorVarPicker = (() => {
+      // The pickers created with ColorVarPicker.create() are destroyed along with the default one
+      const createdPickers = [];
+      const methods = {
+        set: configure,
+        wrap: wrapFields,
+        close: closePicker,
+        setInstance: setVirtualInstance,
+        removeInstance: removeVirtualInstance,
+        updatePosition: updatePickerPosition,
+        refreshSwatches: refreshSwatches,
+        undoVariable: undoVariable,
+        resetVariables: resetVariables,
+        undo: field => {
+          createdPickers.forEach(createdPicker => createdPicker.undo(field));
+          undoPick(field);
+        },
+        redo: field => {
+          createdPickers.forEach(createdPicker => createdPicker.redo(field));
+          redoPick(field);
+        },
+        unbind: unbindFields,
+        unwrap: unwrapFields,
+        destroy: () => {
+          createdPickers.splice(0).forEach(createdPicker => createdPicker.destroy());
+          destroy();
         }
-      });
-    }
+      };
 
-    for (const key in methods) {
-      ColorVarPicker[key] = (...args) => {
-        DOMReady(methods[key], args);
+      // These return a value, so they are called right away instead of waiting for the DOM
+      // The exports and the audit read the page's styles and fields, they must be called once it's ready
+      const helpers = {
+        loadTokens: loadTokens,
+        export: exportSwatches,
+        exportVariables: exportVariables,
+        color: {
+          parse: ColorVarPickerColor.parse,
+          convert: ColorVarPickerColor.convert,
+          format: ColorVarPickerColor.format,
+          deltaE: ColorVarPickerColor.deltaE
+        },
+        audit: (selector, options) => {
+          const fields = createdPickers.reduce((list, createdPicker) => {
+            // A field audited by several pickers is only reported once
+            return list.concat(createdPicker.audit(selector, options).fields.filter(entry => {
+              return !list.some(item => item.field === entry.field);
+            }));
+          }, auditFields(selector, options).fields);
+
+          return createAuditReport(fields);
+        },
+        create: (target, options) => {
+          const createdPicker = createPicker(window, document, Math, target, options || {});
+
+          createdPickers.push(createdPicker);
+          return createdPicker;
+        }
       };
+
+      function ColorVarPicker(options) {
+        DOMReady(() => {
+          if (options) {
+            if (typeof options === 'string') {
+              bindFields(options);
+            } else {
+              configure(options);
+            }
+          }
+        });
+      }
+
+      for (const key in methods) {
+        ColorVarPicker[key] = (...args) => {
+          DOMReady(methods[key], args);
+        };
+      }
+
+      for (const key in helpers) {
+        ColorVarPicker[key] = helpers[key];
+      }
+
+      return ColorVarPicker;
+    })();
+
+    // Define the <color-var-picker> custom element
+    if (window.customElements && !window.customElements.get('color-var-picker')) {
+      window.customElements.define('color-var-picker', createPickerElement());
     }
 
-    return ColorVarPicker;
-  })();
+    // Init the color picker when the DOM is ready
+    DOMReady(init);
+  } else {
+    // Independent pickers are not bound to the default selector
+    settings.el = instanceOptions.inline ? null : target;
+    settings.wrap = instanceOptions.wrap !== false;
+
+    DOMReady(() => {
+      init();
+      configure(instanceOptions.inline ? Object.assign({ parent: target }, instanceOptions) : instanceOptions);
+    });
 
-  // Init the color picker when the DOM is ready
-  DOMReady(init);
+    return {
+      open: field => {
+        DOMReady(() => openPicker(field ? getFields(field)[0] : getBoundFields()[0]));
+      },
+      close: revert => {
+        DOMReady(closePicker, [revert]);
+      },
+      getValue: getValue,
+      setValue: (color, field) => {
+        DOMReady(setValue, [color, field]);
+      },
+      on: addEventHandler,
+      undoVariable: () => {
+        DOMReady(undoVariable);
+      },
+      resetVariables: () => {
+        DOMReady(resetVariables);
+      },
+      exportVariables: exportVariables,
+      audit: auditFields,
+      undo: field => {
+        DOMReady(undoPick, [field]);
+      },
+      redo: field => {
+        DOMReady(redoPick, [field]);
+      },
+      update: options => {
+        DOMReady(configure, [options]);
+      },
+      destroy: () => {
+        DOMReady(destroy);
+      }
+    };
+  }
 
-})(window, document, Math);
+})(typeof window !== 'undefined' ? window : null, typeof document !== 'undefined' ? document : null, Math);